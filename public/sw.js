@@ -0,0 +1,91 @@
+// App-shell service worker: lets the app load offline, and notices new deployments.
+//
+// Registered as `sw.js?v=<build>` (see src/pwa.js), so every deployment installs as a new version with
+// its own shell cache (`chatgpt-search-shell-<build>`). Conversations, ZIPs and indexes live in the
+// app's data cache (`chatgpt-search-cache-v<schema>`, migrated by ensureStorageUpToDate), which this
+// never touches, just as the app's migration only ever deletes `chatgpt-search-cache-v*` caches.
+
+const logPrefix = '[chatgpt-search]';
+const VERSION = new URL(self.location.href).searchParams.get('v') ?? 'dev';
+const SHELL_CACHE_PREFIX = 'chatgpt-search-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${VERSION}`;
+const INDEX_URL = self.registration.scope;
+
+self.addEventListener('install', event => {
+  // A first install can take over right away. A new version waits until no tab runs the previous one:
+  // those still load their own hashed assets (the worker chunk, for every import or index job), which
+  // the previous version serves from its shell cache, and activating deletes that cache.
+  event.waitUntil(precacheShell().then(() => !self.registration.active && self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys()) {
+        if (name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE) await caches.delete(name);
+      }
+      await self.clients.claim();
+    })(),
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+  event.respondWith(request.mode === 'navigate' ? serveShell(event) : serveAsset(request));
+});
+
+async function precacheShell() {
+  const response = await fetch(INDEX_URL, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Failed to fetch the app shell (${response.status})`);
+  await cacheShell(await caches.open(SHELL_CACHE), response);
+}
+
+async function cacheShell(cache, response) {
+  // The page plus the scripts, styles and icons it references (built ones have hashed names), and the
+  // built files it loads later, like the import/index worker (`precache.json`, see vite.config.js).
+  const html = await response.clone().text();
+  const urls = Array.from(html.matchAll(/\s(?:src|href)="([^"]+)"/g), ([, url]) => new URL(url, INDEX_URL).href);
+  urls.push(...(await fetchPrecacheList()));
+  await cache.addAll(Array.from(new Set(urls.filter(url => url.startsWith(self.registration.scope)))));
+  await cache.put(INDEX_URL, response);
+}
+
+async function fetchPrecacheList() {
+  const response = await fetch(new URL('precache.json', INDEX_URL), { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Failed to fetch the precache list (${response.status})`);
+  return (await response.json()).map(file => new URL(file, INDEX_URL).href);
+}
+
+async function serveShell(event) {
+  // One page app: every navigation gets the shell. The cached one right away (which works offline),
+  // while checking for a new deployment in the background.
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(INDEX_URL);
+  if (!cached) return fetch(event.request);
+  event.waitUntil(
+    checkForUpdate(cache, cached.clone()).catch(err => console.debug(logPrefix, 'sw: update check failed', err)),
+  );
+  return cached;
+}
+
+async function checkForUpdate(cache, cached) {
+  const response = await fetch(INDEX_URL, { cache: 'no-cache' });
+  if (!response.ok || (await response.clone().text()) === (await cached.text())) return;
+  console.debug(logPrefix, 'sw: new version available');
+  // Fully cached before announcing it, so reloading works even if the connection drops meanwhile.
+  await cacheShell(cache, response);
+  for (const client of await self.clients.matchAll({ type: 'window' })) {
+    client.postMessage({ type: 'update-available' });
+  }
+}
+
+async function serveAsset(request) {
+  // Cache first: built assets have hashed names, so a cached copy is never stale.
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
@@ -0,0 +1,62 @@
+// Resolves asset pointers (`file-service://file-..`: uploaded images, DALL·E outputs, attached files)
+// against the files in an export ZIP.
+import JSZip from 'jszip';
+
+// By extension; JSZip hands out untyped blobs, and images need a type to render from an object URL.
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  csv: 'text/csv',
+  json: 'application/json',
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+};
+
+/**
+ * Opens an export ZIP and indexes its files by asset id. Returns `{ has, getUrl, revoke }`:
+ * `getUrl(pointer)` resolves to an object URL (or `null` if the ZIP doesn't have the file), kept
+ * until `revoke()`.
+ */
+export async function openAssetArchive(blob) {
+  const zip = await JSZip.loadAsync(blob);
+  const entries = new Map();
+  zip.forEach((path, entry) => {
+    // Files are named after their id, e.g. `file-AbC123-photo.png` or `dalle-generations/file-XyZ-<uuid>.webp`.
+    const id = entry.dir ? null : getAssetId(path.split('/').pop());
+    if (id && !entries.has(id)) entries.set(id, entry);
+  });
+  const urls = new Map();
+
+  return {
+    has: pointer => entries.has(getAssetId(pointer)),
+    getUrl(pointer) {
+      const id = getAssetId(pointer);
+      if (!urls.has(id)) urls.set(id, createUrl(entries.get(id)));
+      return urls.get(id);
+    },
+    async revoke() {
+      for (const url of await Promise.all(urls.values())) if (url) URL.revokeObjectURL(url);
+      urls.clear();
+    },
+  };
+
+  async function createUrl(entry) {
+    if (!entry) return null;
+    const extension = entry.name.split('.').pop().toLowerCase();
+    const data = await entry.async('uint8array');
+    return URL.createObjectURL(new Blob([data], { type: MIME_TYPES[extension] ?? 'application/octet-stream' }));
+  }
+}
+
+/** `file-service://file-AbC123`, `sediment://file_00ab..`, `file-AbC123-photo.png` -> `file-AbC123` / `file_00ab..` */
+export function getAssetId(pointer) {
+  const name = String(pointer ?? '').replace(/^[a-z-]+:\/\//, '');
+  return /^file[-_][A-Za-z0-9]+/.exec(name)?.[0] ?? null;
+}
@@ -0,0 +1,131 @@
+// Passphrase mode: everything the app stores is encrypted with WebCrypto.
+//
+// A random AES-GCM data key encrypts the entries; the passphrase (through PBKDF2) only wraps that key.
+// The wrapped key, its salt and the PBKDF2 parameters make up the "vault", which is stored in the
+// clear: changing the passphrase re-wraps the data key instead of re-encrypting gigabytes.
+
+const PBKDF2_ITERATIONS = 600000;
+const IV_LENGTH = 12;
+// Blobs are encrypted in chunks, each wrapped in a Blob of its own as soon as it's done, so multi-GB ZIPs
+// don't need one multi-GB buffer (the browser can keep Blobs out of the JS heap).
+const CHUNK_SIZE = 16 * 1024 * 1024;
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('Wrong passphrase');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/** A new vault for `passphrase`: `{ vault, key }`, `vault` being what to store (JSON). */
+export async function createVault(passphrase) {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+  const vault = await wrapDataKey(key, passphrase);
+  // The session gets a non-extractable copy.
+  return { vault, key: await unlockVault(vault, passphrase) };
+}
+
+/** The data key in `vault`. Throws a `WrongPassphraseError` if `passphrase` doesn't open it. */
+export async function unlockVault(vault, passphrase, { extractable = false } = {}) {
+  const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      'raw',
+      fromBase64(vault.wrappedKey),
+      wrappingKey,
+      { name: 'AES-GCM', iv: fromBase64(vault.iv) },
+      { name: 'AES-GCM' },
+      extractable,
+      ['encrypt', 'decrypt'],
+    );
+  } catch (err) {
+    // AES-GCM can't tell a wrong key from tampering; either way the passphrase doesn't open it.
+    if (err?.name === 'OperationError') throw new WrongPassphraseError();
+    throw err;
+  }
+}
+
+/** The same data key, wrapped with `newPassphrase` instead of `passphrase`. */
+export async function changeVaultPassphrase(vault, passphrase, newPassphrase) {
+  return wrapDataKey(await unlockVault(vault, passphrase, { extractable: true }), newPassphrase);
+}
+
+/**
+ * Encrypts a blob as a sequence of `[ciphertext length (4 bytes)][IV][ciphertext]` chunks. Each chunk's
+ * position (and whether it's the last) is authenticated, so chunks can't be reordered or dropped.
+ */
+export async function encryptBlob(key, blob) {
+  const parts = [];
+  const count = Math.max(1, Math.ceil(blob.size / CHUNK_SIZE));
+  for (let i = 0; i < count; i++) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const plaintext = await blob.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE).arrayBuffer();
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: getChunkData(i, i === count - 1) },
+      key,
+      plaintext,
+    );
+    const length = new DataView(new ArrayBuffer(4));
+    length.setUint32(0, ciphertext.byteLength);
+    parts.push(new Blob([length.buffer, iv, ciphertext]));
+  }
+  return new Blob(parts, { type: 'application/octet-stream' });
+}
+
+export async function decryptBlob(key, blob, type = '') {
+  const parts = [];
+  let offset = 0;
+  for (let i = 0; offset < blob.size; i++) {
+    const length = new DataView(await blob.slice(offset, offset + 4).arrayBuffer()).getUint32(0);
+    const start = offset + 4 + IV_LENGTH;
+    const iv = new Uint8Array(await blob.slice(offset + 4, start).arrayBuffer());
+    const ciphertext = await blob.slice(start, start + length).arrayBuffer();
+    offset = start + length;
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: getChunkData(i, offset >= blob.size) },
+      key,
+      ciphertext,
+    );
+    parts.push(new Blob([plaintext]));
+  }
+  return new Blob(parts, { type });
+}
+
+async function wrapDataKey(key, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const wrappedKey = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+  return {
+    version: 1,
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrappedKey),
+  };
+}
+
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, [
+    'deriveKey',
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey'],
+  );
+}
+
+function getChunkData(index, last) {
+  return new TextEncoder().encode(`${index}:${last ? 'last' : 'more'}`);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,312 @@
+// Export formats for selected conversations: Markdown (single file or ZIP), standalone HTML,
+// normalized JSON, a print view (for "Save as PDF") and an Obsidian/Logseq-style vault ZIP.
+import { createElement } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import Markdown from 'react-markdown';
+import JSZip from 'jszip';
+import { withoutDuplicates } from './similarity.js';
+import { getProvider, getProviderLabel } from './providers.js';
+import { getLibraryId } from './libraries.js';
+
+export const EXPORT_FORMATS = {
+  markdown: 'Markdown',
+  html: 'Standalone HTML',
+  json: 'JSON',
+  print: 'Print / Save as PDF',
+  vault: 'Obsidian / Logseq vault (ZIP)',
+};
+
+const EXPORT_CSS = `
+body { max-width: 800px; margin: 2em auto; padding: 0 1em; color: #222;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', sans-serif; line-height: 1.5; }
+article.conversation + article.conversation { border-top: 2px solid #ddd; margin-top: 3em; }
+.meta { color: #888; font-size: 0.9em; }
+section.message { border-bottom: 1px solid #eee; padding: 0.5em 0; }
+section.message.user { background: #f7f7f8; padding: 0.5em; }
+section.message.alternate { opacity: 0.7; border-left: 3px dashed #ccc; padding-left: 0.5em; }
+section.message > h2 { font-size: 0.8em; text-transform: uppercase; color: #888; margin: 0; }
+pre { background: #f4f4f4; padding: 0.75em; overflow-x: auto; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+@media print {
+  body { max-width: none; margin: 0; }
+  article.conversation { break-after: page; }
+  article.conversation + article.conversation { border-top: none; margin-top: 0; }
+  pre { white-space: pre-wrap; }
+  section.message { break-inside: avoid-page; }
+}
+`;
+
+// Which messages go into an export by default (see `getMessages`).
+export const DEFAULT_MESSAGE_OPTIONS = {
+  branches: 'active',
+  // Tool results (code execution output, browsing, ..).
+  includeTool: true,
+  includeSystem: false,
+  // Messages ChatGPT doesn't show (e.g. custom instructions, context injected by tools).
+  includeHidden: false,
+};
+
+/**
+ * Exports `conversations` in `format`; everything but `print` ends up as a download.
+ * Options: `DEFAULT_MESSAGE_OPTIONS`, `merge` (Markdown: one file instead of a ZIP), `libraries`
+ * (to tag vault notes with their library's name), `skipDuplicates` (keep one of each group of
+ * near-identical conversations, see similarity.js).
+ */
+export async function exportConversations(
+  conversations,
+  { format, merge = false, libraries = [], skipDuplicates = false, ...options },
+) {
+  const messageOptions = { ...DEFAULT_MESSAGE_OPTIONS, ...options };
+  if (skipDuplicates) conversations = withoutDuplicates(conversations);
+  switch (format) {
+    case 'markdown':
+      if (merge) {
+        const combinedText = conversations.map(c => renderConversationMarkdown(c, messageOptions)).join('\n---\n\n');
+        return downloadMarkdown(combinedText, 'selected_conversations.md');
+      }
+      return downloadZip(
+        conversations.map(c => [`${getSafeFilename(c.title)}.md`, renderConversationMarkdown(c, messageOptions)]),
+        'selected_conversations.zip',
+      );
+    case 'html':
+      return downloadBlob(
+        new Blob([renderHtmlDocument(conversations, messageOptions)], { type: 'text/html' }),
+        conversations.length === 1 ? `${getSafeFilename(conversations[0].title)}.html` : 'selected_conversations.html',
+      );
+    case 'json':
+      return downloadBlob(
+        new Blob([JSON.stringify(conversations.map(c => normalizeConversation(c, messageOptions)), null, 2)], {
+          type: 'application/json',
+        }),
+        'selected_conversations.json',
+      );
+    case 'print':
+      return openPrintView(conversations, messageOptions);
+    case 'vault':
+      return downloadZip(
+        conversations.map(c => [
+          `${getProviderLabel(getProvider(c))}/${getSafeFilename(c.title)}.md`,
+          renderVaultNote(c, messageOptions, libraries),
+        ]),
+        'chatgpt_vault.zip',
+      );
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Renders a conversation as a readable Markdown document: a title with created/updated/model details,
+ * then one heading per message (role, model, time) with code and execution output fenced.
+ */
+export function renderConversationMarkdown(conversation, options = DEFAULT_MESSAGE_OPTIONS) {
+  const details = [
+    conversation.time && `- Created: ${formatTimestamp(conversation.time)}`,
+    conversation.updated && `- Updated: ${formatTimestamp(conversation.updated)}`,
+    conversation.model && `- Model: ${conversation.model}`,
+  ].filter(Boolean);
+  const messages = getMessages(conversation, { ...DEFAULT_MESSAGE_OPTIONS, ...options }).map(
+    m => `## ${formatMessageHeading(m)}\n\n${getMessageMarkdown(m)}\n`,
+  );
+  return [`# ${conversation.title}\n`, details.length && `${details.join('\n')}\n`, ...messages]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/** A message's text as Markdown: code and execution output get (safely long-enough) fences. */
+export function getMessageMarkdown(message) {
+  const text = String(message.text ?? '');
+  if (message.contentType === 'code') return fence(text, message.language ?? message.recipient);
+  if (message.contentType === 'execution_output') return fence(text, 'text');
+  return text;
+}
+
+export function formatMessageHeading(message, { time = true } = {}) {
+  const role = message.author.charAt(0).toUpperCase() + message.author.slice(1);
+  return [
+    message.name ? `${role} (${message.name})` : role,
+    message.recipient && `to ${message.recipient}`,
+    message.model,
+    formatBranchLabel(message),
+    message.hidden && 'hidden',
+    time && message.time && formatTimestamp(message.time),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+export function formatBranchLabel(message, prefix = '') {
+  // Messages from older caches predate branch tracking; treat them as active.
+  const labels = [];
+  if (message.active === false) labels.push('alternate');
+  if (message.siblings > 1) labels.push(`${message.sibling + 1}/${message.siblings}`);
+  return labels.length ? prefix + labels.join(' ') : '';
+}
+
+/* Formats */
+
+function renderHtmlDocument(conversations, options, { print = false } = {}) {
+  const title = conversations.length === 1 ? conversations[0].title : `${conversations.length} conversations`;
+  const body = conversations.map(c => renderHtmlConversation(c, options)).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<style>${EXPORT_CSS}</style>
+</head>
+<body>
+${body}
+${print ? '<script>addEventListener("load", () => print());</script>' : ''}
+</body>
+</html>
+`;
+}
+
+function renderHtmlConversation(conversation, options) {
+  const meta = [
+    conversation.time && `Created ${formatDate(conversation.time)}`,
+    conversation.updated && `Updated ${formatDate(conversation.updated)}`,
+    conversation.model,
+  ].filter(Boolean);
+  const messages = getMessages(conversation, options).map(m => {
+    const className = ['message', m.author, m.active === false && 'alternate'].filter(Boolean).join(' ');
+    const heading = formatMessageHeading(m);
+    const html = renderToStaticMarkup(createElement(Markdown, null, getMessageMarkdown(m)));
+    return `<section class="${escapeHtml(className)}">\n<h2>${escapeHtml(heading)}</h2>\n${html}\n</section>`;
+  });
+  return `<article class="conversation">
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">${meta.map(escapeHtml).join(' · ')}</p>
+${messages.join('\n')}
+</article>`;
+}
+
+function openPrintView(conversations, options) {
+  const url = URL.createObjectURL(
+    new Blob([renderHtmlDocument(conversations, options, { print: true })], { type: 'text/html' }),
+  );
+  const win = window.open(url, '_blank');
+  if (!win) throw new Error('The print view was blocked; allow pop-ups for this page and try again.');
+  // The new window needs the URL until it has loaded.
+  setTimeout(() => URL.revokeObjectURL(url), 60_000);
+}
+
+function normalizeConversation(conversation, options) {
+  // Caches from older versions also hold a derived `text` blob (a flattening of `messages`).
+  const { text, ...rest } = conversation;
+  return { ...rest, messages: getMessages(conversation, options) };
+}
+
+function renderVaultNote(conversation, options, libraries) {
+  const frontMatter = {
+    id: conversation.id,
+    title: conversation.title,
+    created: conversation.time ? new Date(conversation.time * 1000).toISOString() : null,
+    updated: conversation.updated ? new Date(conversation.updated * 1000).toISOString() : null,
+    model: conversation.model ?? null,
+    tags: getVaultTags(conversation, libraries),
+  };
+  const yaml = Object.entries(frontMatter)
+    .map(([key, value]) => `${key}: ${toYaml(value)}`)
+    .join('\n');
+  return `---\n${yaml}\n---\n\n${renderConversationMarkdown(conversation, options)}`;
+}
+
+function getVaultTags(conversation, libraries) {
+  const tags = [getProvider(conversation)];
+  const library = libraries.find(l => l.id === getLibraryId(conversation));
+  if (library) tags.push(`library/${toTag(library.name)}`);
+  if (conversation.deletedUpstream) tags.push('deleted-upstream');
+  for (const tag of conversation.annotation?.tags ?? []) tags.push(toTag(tag));
+  return tags;
+}
+
+/* Utils */
+
+function getMessages(conversation, { branches, includeTool, includeSystem, includeHidden }) {
+  return (conversation.messages ?? []).filter(
+    m =>
+      m.text &&
+      (branches === 'all' || m.active !== false) &&
+      (includeTool || m.author !== 'tool') &&
+      (includeSystem || m.author !== 'system') &&
+      (includeHidden || !m.hidden),
+  );
+}
+
+function fence(text, language = '') {
+  // Use a fence longer than any backtick run inside, so embedded ``` can't close it early.
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length));
+  const marker = '`'.repeat(Math.max(3, longest + 1));
+  return `${marker}${language}\n${text}\n${marker}`;
+}
+
+function formatTimestamp(seconds) {
+  // Stable across machines/timezones, unlike toLocaleString().
+  return `${new Date(seconds * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function toYaml(value) {
+  if (value == null) return 'null';
+  if (Array.isArray(value)) return `[${value.map(toYaml).join(', ')}]`;
+  // JSON strings are valid YAML scalars, and take care of quotes/colons/newlines.
+  return JSON.stringify(value);
+}
+
+function toTag(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}/_-]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function getSafeFilename(title) {
+  // Strip characters that are invalid (or path separators) on common filesystems.
+  const name = String(title ?? '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+  return name || 'Untitled';
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toLocaleString();
+}
+
+function escapeHtml(str) {
+  return String(str).replace(
+    /[&<>"']/g,
+    char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char],
+  );
+}
+
+async function downloadZip(files, filename) {
+  const zip = new JSZip();
+  const used = new Set();
+  for (const [path, content] of files) {
+    // Conversations often share titles ("New chat"); don't let them overwrite each other.
+    let unique = path;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) unique = path.replace(/(\.\w+)$/, ` (${n})$1`);
+    used.add(unique.toLowerCase());
+    zip.file(unique, content);
+  }
+  downloadBlob(await zip.generateAsync({ type: 'blob' }), filename);
+}
+
+export function downloadMarkdown(text, filename) {
+  downloadBlob(new Blob([text], { type: 'text/markdown' }), filename);
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
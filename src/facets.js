@@ -0,0 +1,104 @@
+// Sidebar filters: narrow conversations down by date, provider, model, custom GPT / project, length and
+// flags, and count how many conversations each choice would leave.
+import { getProvider } from './providers.js';
+
+export const DEFAULT_FILTERS = {
+  // `YYYY-MM-DD` (from `<input type='date'>`), local time; a conversation matches if it was active then.
+  from: '',
+  to: '',
+  // Where conversations were imported from (see providers.js).
+  providers: [],
+  models: [],
+  gizmos: [],
+  tags: [],
+  // Message counts, as typed ('' = no limit).
+  minMessages: '',
+  maxMessages: '',
+  archived: false,
+  starred: false,
+};
+
+const DAY = 24 * 60 * 60;
+
+const MATCHERS = {
+  date: (c, { from, to }) =>
+    (!from || Number(c.updated ?? c.time ?? 0) >= toSeconds(from)) &&
+    (!to || Number(c.time ?? 0) < toSeconds(to) + DAY),
+  providers: (c, { providers }) => !providers.length || providers.includes(getProvider(c)),
+  models: (c, { models }) => !models.length || getModels(c).some(model => models.includes(model)),
+  gizmos: (c, { gizmos }) => !gizmos.length || gizmos.includes(c.gizmo),
+  tags: (c, { tags }) => !tags.length || tags.some(tag => c.annotation?.tags?.includes(tag)),
+  messages: (c, { minMessages, maxMessages }) => {
+    const count = getMessageCount(c);
+    return (minMessages === '' || count >= Number(minMessages)) && (maxMessages === '' || count <= Number(maxMessages));
+  },
+  archived: (c, { archived }) => !archived || !!c.archived,
+  starred: (c, { starred }) => !starred || isStarred(c),
+};
+
+export function hasFilters(filters) {
+  return Object.entries(DEFAULT_FILTERS).some(([key, value]) =>
+    Array.isArray(value) ? filters[key]?.length : (filters[key] ?? value) !== value,
+  );
+}
+
+/** Conversations passing every filter (but the `except` group, for counting that group's choices). */
+export function filterConversations(conversations, filters, except) {
+  const matchers = Object.entries(MATCHERS).filter(([group]) => group !== except);
+  return conversations.filter(c => matchers.every(([, matches]) => matches(c, filters)));
+}
+
+/**
+ * Choices and counts for the sidebar. Each group is counted over the conversations that pass the
+ * *other* filters, so ticking one model doesn't make every other model count zero.
+ */
+export function getFacets(conversations, filters) {
+  const lengths = filterConversations(conversations, filters, 'messages').map(getMessageCount);
+  return {
+    providers: countValues(filterConversations(conversations, filters, 'providers'), c => [getProvider(c)]),
+    models: countValues(filterConversations(conversations, filters, 'models'), getModels),
+    gizmos: countValues(filterConversations(conversations, filters, 'gizmos'), c => (c.gizmo ? [c.gizmo] : [])),
+    tags: countValues(filterConversations(conversations, filters, 'tags'), c => c.annotation?.tags ?? []),
+    messages: lengths.length
+      ? { min: lengths.reduce((a, b) => Math.min(a, b)), max: lengths.reduce((a, b) => Math.max(a, b)) }
+      : null,
+    archived: filterConversations(conversations, filters, 'archived').filter(c => c.archived).length,
+    starred: filterConversations(conversations, filters, 'starred').filter(isStarred).length,
+  };
+}
+
+/** The conversation's default model plus any a message was answered with (e.g. after switching). */
+export function getModels(conversation) {
+  const models = new Set(conversation.model ? [conversation.model] : []);
+  for (const m of conversation.messages ?? []) if (m.model) models.add(m.model);
+  return Array.from(models);
+}
+
+/** Visible prompts and answers on the active branch. */
+export function getMessageCount(conversation) {
+  return (conversation.messages ?? []).filter(
+    m => (m.author === 'user' || m.author === 'assistant') && m.active !== false && !m.hidden && m.text,
+  ).length;
+}
+
+/** Starred in ChatGPT, or here. */
+export function isStarred(conversation) {
+  return !!(conversation.starred || conversation.annotation?.starred);
+}
+
+export function getGizmoLabel(gizmo) {
+  // Projects are gizmos too, with their own id prefix.
+  return `${gizmo.startsWith('g-p-') ? 'Project' : 'GPT'} ${gizmo}`;
+}
+
+function countValues(conversations, getValues) {
+  // `[[value, count]]`, most common first.
+  const counts = new Map();
+  for (const c of conversations) for (const value of getValues(c)) counts.set(value, (counts.get(value) ?? 0) + 1);
+  return Array.from(counts).sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+}
+
+function toSeconds(date) {
+  // Export timestamps are in seconds; `YYYY-MM-DDT00:00` parses as local time.
+  return new Date(`${date}T00:00`).getTime() / 1000;
+}
@@ -0,0 +1,657 @@
+// Turns export files into the app's conversation model: `{ id, title, time, updated, model, gizmo?, provider,
+// format, messages }`. Each importer in IMPORTERS recognizes one kind of input (a ChatGPT, Claude or Gemini export, a
+// saved shared conversation, ..); `processFile` finds the input in the uploaded file and hands it to the first
+// importer that matches.
+import JSZip from 'jszip';
+
+const logPrefix = '[chatgpt-search]';
+
+// How many conversations to convert between progress reports.
+const PROGRESS_INTERVAL = 200;
+
+// Version of the conversation model, stored on each conversation as `format` (none = 1, the original
+// unordered, branchless messages). Bump it when importers start extracting more, so that re-importing
+// replaces conversations stored in an older shape even though they didn't change upstream.
+const CONVERSATION_FORMAT = 2;
+
+// What to read from a ZIP, the first match winning: ChatGPT exports have both conversations.json and
+// chat.html (with the same conversations); Claude's has a conversations.json too.
+const ZIP_SOURCES = [
+  /(^|\/)conversations\.json$/,
+  /(^|\/)My Activity\/(Gemini Apps|Bard)\/MyActivity\.json$/,
+  /(^|\/)chat\.html$/,
+];
+
+/**
+ * Tried in order on the uploaded input, `{ name, text, json, modified }` (`json`: parsed `text`, if it
+ * parses; `modified`: the file's time, in seconds). `match` recognizes the input, `convert` returns its
+ * conversations, noting what it couldn't read in the report (see `createReport`). `partial` inputs hold
+ * a single conversation rather than a whole archive, so they don't say anything about which conversations
+ * were deleted.
+ */
+const IMPORTERS = [
+  {
+    id: 'chatgpt',
+    label: 'ChatGPT export',
+    provider: 'chatgpt',
+    match: ({ json }) => isListOf(json, 'mapping'),
+    convert: ({ json }, report, onProgress) => mapEach(json, mapChatGptConversation, report, onProgress),
+  },
+  {
+    id: 'chatgpt-html',
+    label: 'ChatGPT export (chat.html)',
+    provider: 'chatgpt',
+    match: ({ text }) => CHAT_HTML_DATA.test(text),
+    convert: ({ text }, report, onProgress) =>
+      mapEach(getChatHtmlData(text), mapChatGptConversation, report, onProgress),
+  },
+  {
+    id: 'claude',
+    label: 'Claude export',
+    provider: 'claude',
+    match: ({ json }) => isListOf(json, 'chat_messages'),
+    convert: ({ json }, report, onProgress) => mapEach(json, mapClaudeConversation, report, onProgress),
+  },
+  {
+    id: 'gemini',
+    label: 'Gemini activity (Google Takeout)',
+    provider: 'gemini',
+    match: ({ json }) => isListOf(json, 'header') && json.some(item => /Gemini|Bard/.test(item.header)),
+    convert: ({ json }, report, onProgress) => mapEach(json, mapGeminiActivity, report, onProgress),
+  },
+  {
+    id: 'chatgpt-shared',
+    label: 'Shared conversation page',
+    provider: 'chatgpt',
+    partial: true,
+    match: ({ text }) => /id="__NEXT_DATA__"|data-message-author-role=/.test(text),
+    convert: (source, report) => [mapSharedPage(source, report)],
+  },
+];
+
+// chat.html embeds the export as one line of JavaScript.
+const CHAT_HTML_DATA = /\bvar jsonData = /;
+
+// ChatGPT content types `getText` knows where to find the text of.
+const CONTENT_TYPES = new Set([
+  'text',
+  'multimodal_text',
+  'code',
+  'execution_output',
+  'tether_browsing_display',
+  'tether_quote',
+  'user_editable_context',
+  'system_error',
+]);
+
+/**
+ * Reads an uploaded file (a ZIP, or a bare JSON or HTML file) into our conversation model. Runs in the
+ * import worker, so it reports `{ phase, name?, done?, total? }` through `onProgress` instead of touching
+ * the UI. Returns `{ conversations, importer, assets, report }`: `importer` describes what was recognized,
+ * `assets` says whether the file holds the conversations' images and attachments (and is worth keeping),
+ * and `report` lists what was skipped along the way. A conversation that can't be read is skipped, never
+ * the whole file; files that can't be read at all throw.
+ */
+export async function processFile(file, onProgress) {
+  // console.time(`${logPrefix} processFile`);
+  console.debug(logPrefix, 'processFile: start', {
+    name: file?.name,
+    size: file?.size,
+    type: file?.type,
+  });
+  onProgress?.({ phase: 'reading' });
+  const buffer = await readFileFromInput(file);
+  const zip = isZip(buffer) ? await JSZip.loadAsync(buffer) : null;
+  const source = zip
+    ? await readZipSource(zip, onProgress)
+    : { name: file.name, text: new TextDecoder().decode(buffer) };
+  if (!source) throw new Error(`Found no conversations in ${file.name}`);
+  source.modified = (file.lastModified ?? Date.now()) / 1000;
+  if (/^\s*[[{]/.test(source.text)) {
+    onProgress?.({ phase: 'parsing', name: source.name });
+    try {
+      source.json = JSON.parse(source.text);
+    } catch (err) {
+      source.jsonError = err.message;
+    }
+  }
+
+  const importer = IMPORTERS.find(i => i.match(source));
+  if (!importer && source.jsonError) throw new Error(`${source.name} isn't valid JSON: ${source.jsonError}`);
+  if (!importer) {
+    throw new Error(
+      `Unrecognized file: ${source.name}. Expected a ChatGPT or Claude export, Gemini activity from Google Takeout ` +
+        '(in JSON format), or a saved shared conversation page.',
+    );
+  }
+  console.debug(logPrefix, 'processFile: importing', { source: source.name, importer: importer.id });
+  const report = createReport();
+  const conversations = withoutDuplicateIds(importer.convert(source, report, onProgress), report).map(c => ({
+    ...c,
+    provider: importer.provider,
+    format: CONVERSATION_FORMAT,
+  }));
+  conversations.sort(sortConversations);
+  console.debug(logPrefix, 'processFile: parsed conversations', {
+    conversationsCount: conversations.length,
+    skipped: report.skipped.length,
+    malformed: report.malformed.length,
+  });
+  console.debug(logPrefix, 'processFile: conversations (debug dump)', conversations);
+  console.log(`${logPrefix} ${conversations.length} conversations loaded`);
+  // console.timeEnd(`${logPrefix} processFile`);
+  const { id, label, provider, partial = false } = importer;
+  // Only ChatGPT exports carry files that messages point at.
+  return {
+    conversations,
+    importer: { id, label, provider, partial },
+    assets: !!zip && provider === 'chatgpt',
+    report: { ...report, unknownContentTypes: Array.from(report.unknownContentTypes).sort((a, b) => b[1] - a[1]) },
+  };
+}
+
+function createReport() {
+  return {
+    // `[{ index?, id?, title?, reason }]`: conversations left out (`index`: position in the file).
+    skipped: [],
+    // `[{ conversation, title?, message, reason }]`: messages left out of conversations that were imported.
+    malformed: [],
+    // Content type -> how many messages had it; their text may be missing.
+    unknownContentTypes: new Map(),
+  };
+}
+
+async function readZipSource(zip, onProgress) {
+  const names = Object.keys(zip.files);
+  for (const pattern of ZIP_SOURCES) {
+    const name = names.find(n => pattern.test(n));
+    if (!name) continue;
+    onProgress?.({ phase: 'unzipping', name, done: 0, total: 100 });
+    const text = await zip
+      .file(name)
+      .async('text', ({ percent }) => onProgress?.({ phase: 'unzipping', name, done: percent, total: 100 }));
+    return { name, text };
+  }
+  return null;
+}
+
+function mapEach(items, map, report, onProgress) {
+  const conversations = [];
+  for (const [i, item] of items.entries()) {
+    if (i % PROGRESS_INTERVAL === 0) onProgress?.({ phase: 'converting', done: i, total: items.length });
+    try {
+      const conversation = map(item, report);
+      if (conversation) conversations.push(conversation);
+    } catch (err) {
+      const id = item?.conversation_id ?? item?.uuid ?? item?.id;
+      const title = item?.title ?? item?.name;
+      const reason = err?.message ?? String(err);
+      report.skipped.push({ index: i, ...(id && { id }), ...(title && { title }), reason });
+    }
+  }
+  return conversations;
+}
+
+function withoutDuplicateIds(conversations, report) {
+  // Ids key the indexes and merges, so a repeated one keeps just the most recently updated copy.
+  const byId = new Map();
+  for (const conversation of conversations) {
+    const kept = byId.get(conversation.id);
+    if (!kept) {
+      byId.set(conversation.id, conversation);
+      continue;
+    }
+    const [keep, drop] =
+      Number(conversation.updated ?? 0) > Number(kept.updated ?? 0) ? [conversation, kept] : [kept, conversation];
+    byId.set(conversation.id, keep);
+    report.skipped.push({
+      id: drop.id,
+      ...(drop.title && { title: drop.title }),
+      reason: 'Duplicate id (kept the most recently updated copy)',
+    });
+  }
+  return Array.from(byId.values());
+}
+
+function mapMessages(conversation, nodes, map, report) {
+  // A malformed message is left out (and reported) instead of the whole conversation.
+  const messages = [];
+  for (const [i, node] of nodes.entries()) {
+    try {
+      messages.push(map(node, i, nodes));
+    } catch (err) {
+      report?.malformed.push({
+        conversation: conversation.id,
+        ...(conversation.title && { title: conversation.title }),
+        message: node.node?.id ?? node.uuid ?? i,
+        reason: err?.message ?? String(err),
+      });
+    }
+  }
+  return messages;
+}
+
+function countUnknownContentType(report, type) {
+  report?.unknownContentTypes.set(type, (report.unknownContentTypes.get(type) ?? 0) + 1);
+}
+
+/* ChatGPT */
+
+function mapChatGptConversation(conversation, report) {
+  const id = conversation?.conversation_id ?? conversation?.id;
+  if (!id) throw new Error('No conversation id');
+  if (typeof conversation.mapping !== 'object' || !conversation.mapping) throw new Error('No messages (`mapping`)');
+  const { title } = conversation;
+  const messages = mapMessages({ id, title }, walkMapping(conversation), entry => mapMessage(entry, report), report);
+  return {
+    title,
+    messages,
+    time: conversation.create_time,
+    id,
+    updated: conversation.update_time,
+    model: conversation.default_model_slug,
+    // Custom GPT (`g-..`) or project (`g-p-..`, `gizmo_type: 'snorlax'`) the conversation ran in.
+    ...(conversation.gizmo_id && { gizmo: conversation.gizmo_id, gizmoType: conversation.gizmo_type }),
+    ...(conversation.is_archived && { archived: true }),
+    ...(conversation.is_starred && { starred: true }),
+  };
+}
+
+function walkMapping({ mapping = {}, current_node }) {
+  // `mapping` is a tree: editing a prompt or regenerating an answer forks it. `current_node` is
+  // the leaf of the branch that was last on screen, so walking up from it gives the active branch.
+  const activeIds = new Set();
+  for (let id = current_node; id && mapping[id] && !activeIds.has(id); id = mapping[id].parent) {
+    activeIds.add(id);
+  }
+
+  const roots = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+
+  if (!activeIds.size) {
+    // No (valid) `current_node`: assume the most recent child at every fork.
+    for (let node = roots[0]; node && !activeIds.has(node.id); node = mapping[node.children?.at(-1)]) {
+      activeIds.add(node.id);
+    }
+  }
+
+  // Depth-first, children in export order, so alternates stay next to their siblings.
+  const ordered = [];
+  const seen = new Set();
+  const stack = roots.map(node => ({ node, sibling: 0, siblings: 1 })).reverse();
+  while (stack.length) {
+    const { node, sibling, siblings } = stack.pop();
+    if (seen.has(node.id)) continue;
+    seen.add(node.id);
+    if (node.message) ordered.push({ node, active: activeIds.has(node.id), sibling, siblings });
+    const children = (node.children ?? []).map(id => mapping[id]).filter(Boolean);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ node: children[i], sibling: i, siblings: children.length });
+    }
+  }
+  return ordered;
+}
+
+function mapMessage({ node, active, sibling, siblings }, report) {
+  const { message } = node;
+  if (!message.author?.role) throw new Error('Message has no author');
+  if (typeof message.content !== 'object' || !message.content) throw new Error('Message has no content');
+  const { content, metadata = {} } = message;
+  if (!CONTENT_TYPES.has(content.content_type)) countUnknownContentType(report, content.content_type ?? '(none)');
+  const author = message.author.role;
+  const images = getImages(content);
+  const attachments = getAttachments(metadata);
+  const citations = getCitations(content, metadata);
+  return {
+    id: node.id,
+    parent: node.parent,
+    author,
+    // Tool name, e.g. `python` or `browser`.
+    ...(message.author.name && { name: message.author.name }),
+    text: getText(content),
+    contentType: content.content_type,
+    ...(content.language && { language: content.language }),
+    // Who an assistant message was addressed to: `all` (the user) or a tool (e.g. `python`).
+    ...(message.recipient && message.recipient !== 'all' && { recipient: message.recipient }),
+    ...(metadata.model_slug && { model: metadata.model_slug }),
+    ...(metadata.is_visually_hidden_from_conversation && { hidden: true }),
+    ...(images.length && { images }),
+    ...(attachments.length && { attachments }),
+    ...(citations.length && { citations }),
+    time: message.create_time,
+    active,
+    // Only forks carry their position among siblings (e.g. regeneration 2 of 3).
+    ...(siblings > 1 && { sibling, siblings }),
+  };
+}
+
+function getText(content) {
+  switch (content.content_type) {
+    case 'tether_browsing_display':
+      return [content.summary, content.result].filter(Boolean).join('\n\n');
+    // Custom instructions.
+    case 'user_editable_context':
+      return [content.user_profile, content.user_instructions].filter(Boolean).join('\n\n');
+  }
+  // `code`, `execution_output`, `tether_quote`, `system_error`, .. carry a single `text`;
+  // `text` and `multimodal_text` a list of `parts` (strings, or objects for images/audio).
+  if (typeof content.text === 'string') return content.text;
+  return content.parts
+    ?.map(part => (typeof part === 'string' ? part : part?.content_type === 'audio_transcription' ? part.text : null))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function getImages(content) {
+  // Uploads and DALL·E results alike; `asset_pointer` (`file-service://file-..`) names a file in the ZIP.
+  return (content.parts ?? [])
+    .filter(part => part?.content_type === 'image_asset_pointer')
+    .map(part => ({
+      pointer: part.asset_pointer,
+      ...(part.width && { width: part.width, height: part.height }),
+      ...(part.metadata?.dalle?.prompt && { prompt: part.metadata.dalle.prompt }),
+    }));
+}
+
+function getAttachments(metadata) {
+  // Files the user uploaded with a prompt.
+  return (metadata.attachments ?? []).map(attachment => ({
+    id: attachment.id,
+    name: attachment.name,
+    ...(attachment.size && { size: attachment.size }),
+    ...(attachment.mime_type && { mimeType: attachment.mime_type }),
+  }));
+}
+
+function getCitations(content, metadata) {
+  // Browsing quotes, and the sources an answer cites (older exports: `citations`, newer: `content_references`).
+  const citations = [];
+  if (content.content_type === 'tether_quote') citations.push({ url: content.url, title: content.title });
+  for (const citation of metadata.citations ?? []) citations.push(citation.metadata ?? {});
+  for (const reference of metadata.content_references ?? []) citations.push(...(reference.items ?? []));
+  const seen = new Set();
+  return citations
+    .filter(({ url }) => url && !seen.has(url) && seen.add(url))
+    .map(({ url, title, text }) => ({ url, ...(title && { title }), ...(text && { text }) }));
+}
+
+function getChatHtmlData(text) {
+  // `var jsonData = [...];` on a line of its own (JSON has no raw line breaks).
+  const start = text.search(CHAT_HTML_DATA);
+  const end = text.indexOf('\n', start);
+  const line = text.slice(start, end === -1 ? undefined : end);
+  const json = parseJson(line.slice(line.indexOf('=') + 1).trim().replace(/;$/, ''));
+  if (!Array.isArray(json)) throw new Error("Couldn't read the conversations in chat.html");
+  return json;
+}
+
+function mapSharedPage({ text, modified }, report) {
+  // Pages saved from a share link: older ones embed the conversation (as in the export) in Next.js' page
+  // data; otherwise read the rendered messages.
+  const nextData = /<script id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/.exec(text)?.[1];
+  const pageProps = nextData && parseJson(nextData)?.props?.pageProps;
+  const shareId = pageProps?.sharedConversationId;
+  const url = getPageUrl(text) ?? (shareId && `https://chatgpt.com/share/${shareId}`);
+  const data = pageProps?.serverResponse?.data;
+  if (data?.mapping) {
+    const conversation = mapChatGptConversation({ ...data, conversation_id: data.conversation_id ?? shareId }, report);
+    return { ...conversation, ...(url && { url }) };
+  }
+
+  const messages = scrapeMessages(text).map((message, i, all) => ({
+    ...message,
+    parent: all[i - 1]?.id,
+    contentType: 'text',
+    active: true,
+  }));
+  if (!messages.length) throw new Error('Found no messages in the page');
+  const title = htmlToText(/<title>([\s\S]*?)<\/title>/.exec(text)?.[1]).replace(/^ChatGPT\s*[-–|]\s*/, '');
+  return {
+    title: title || 'Shared conversation',
+    messages,
+    time: modified,
+    id: url?.split('/').pop() || `shared-${hashString(messages.map(m => m.text).join('\n'))}`,
+    updated: modified,
+    ...(url && { url }),
+  };
+}
+
+function scrapeMessages(html) {
+  // Every message is an element with `data-message-author-role`; its text runs until the next one.
+  const starts = Array.from(html.matchAll(/<[^>]*\bdata-message-author-role="(\w+)"[^>]*>/g));
+  return starts.map((match, i) => {
+    const from = match.index + match[0].length;
+    const main = html.indexOf('</main>', from);
+    const to = starts[i + 1]?.index ?? (main === -1 ? html.length : main);
+    const id = /\bdata-message-id="([^"]+)"/.exec(match[0])?.[1] ?? `message-${i}`;
+    return { id, author: match[1], text: htmlToText(html.slice(from, to)) };
+  });
+}
+
+function getPageUrl(html) {
+  // Browsers' "Save page as" keeps the canonical link.
+  const url = /<link[^>]+rel="canonical"[^>]+href="([^"]+)"/.exec(html)?.[1];
+  return url && /\/share\//.test(url) ? decodeEntities(url) : null;
+}
+
+/* Claude */
+
+function mapClaudeConversation(conversation, report) {
+  const id = conversation?.uuid;
+  if (!id) throw new Error('No conversation id (`uuid`)');
+  if (!Array.isArray(conversation.chat_messages)) throw new Error('No messages (`chat_messages`)');
+  const messages = mapMessages(
+    { id, title: conversation.name },
+    conversation.chat_messages,
+    (message, i, all) => mapClaudeMessage(message, i, all, report),
+    report,
+  );
+  return {
+    title: conversation.name || getFirstLine(messages[0]?.text) || 'Untitled',
+    messages,
+    time: toSeconds(conversation.created_at),
+    id,
+    updated: toSeconds(conversation.updated_at ?? conversation.created_at),
+  };
+}
+
+function mapClaudeMessage(message, i, messages, report) {
+  if (!message?.sender) throw new Error('Message has no sender');
+  // Uploaded files come with their extracted text, but not the files themselves.
+  const attachments = [...(message.attachments ?? []), ...(message.files ?? [])].map(file => ({
+    name: file.file_name,
+    ...(file.file_size && { size: file.file_size }),
+    ...(file.file_type && { mimeType: file.file_type }),
+  }));
+  return {
+    id: message.uuid,
+    parent: message.parent_message_uuid ?? messages[i - 1]?.uuid,
+    author: message.sender === 'human' ? 'user' : 'assistant',
+    text: getClaudeText(message, report),
+    contentType: 'text',
+    ...(attachments.length && { attachments }),
+    time: toSeconds(message.created_at),
+    active: true,
+  };
+}
+
+function getClaudeText(message, report) {
+  // Newer exports split messages into typed `content` blocks (text, thinking, tool use, ..).
+  const blocks = [];
+  for (const block of message.content ?? []) {
+    if (block.type === 'text') blocks.push(block.text);
+    else if (block.type === 'thinking') blocks.push(block.thinking);
+    else countUnknownContentType(report, block.type);
+  }
+  return blocks.filter(Boolean).join('\n\n') || message.text;
+}
+
+/* Gemini */
+
+function mapGeminiActivity(activity) {
+  // Takeout only has "My Activity": one entry per prompt, with the answer as HTML, and nothing tying
+  // prompts to the chat they were part of. So each one becomes a conversation of its own.
+  const prompt = /^Prompted (.*)$/s.exec(decodeEntities(activity.title ?? ''))?.[1];
+  if (!prompt) return null;
+  const time = toSeconds(activity.time);
+  if (!time) throw new Error('No time');
+  const id = `gemini-${Math.round(time * 1000).toString(36)}`;
+  const answer = htmlToText((activity.safeHtmlItem ?? []).map(item => item.html).join('\n'));
+  const attachments = (activity.attachedFiles ?? []).map(name => ({ name }));
+  return {
+    title: getFirstLine(prompt),
+    messages: [
+      {
+        id: `${id}-prompt`,
+        author: 'user',
+        text: prompt,
+        contentType: 'text',
+        ...(attachments.length && { attachments }),
+        time,
+        active: true,
+      },
+      ...(answer
+        ? [
+            {
+              id: `${id}-answer`,
+              parent: `${id}-prompt`,
+              author: 'assistant',
+              text: answer,
+              contentType: 'text',
+              time,
+              active: true,
+            },
+          ]
+        : []),
+    ],
+    time,
+    id,
+    updated: time,
+  };
+}
+
+/* Utils */
+
+function isZip(buffer) {
+  // `PK\x03\x04` (or `PK\x05\x06` for an empty archive).
+  const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  return bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 3 || bytes[2] === 5);
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function isListOf(json, key) {
+  return Array.isArray(json) && json.some(item => item && typeof item === 'object' && key in item);
+}
+
+function toSeconds(date) {
+  return date ? new Date(date).getTime() / 1000 : undefined;
+}
+
+function getFirstLine(text) {
+  const line = String(text ?? '').trim().split('\n')[0];
+  return line.length > 80 ? `${line.slice(0, 79)}…` : line;
+}
+
+function htmlToText(html) {
+  // Workers have no DOMParser; answers and saved pages are simple enough markup for this.
+  const text = String(html ?? '')
+    .replace(/<(script|style|svg|button)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<(ul|ol)\b[^>]*>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|pre|h[1-6]|ul|ol|table|blockquote)>/gi, '\n\n')
+    .replace(/<\/(li|tr)>/gi, '\n')
+    .replace(/<[^>]*>/g, '');
+  return decodeEntities(text)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] !== '#') return named[code.toLowerCase()] ?? entity;
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+    // Out of range or a lone surrogate: not a character, so leave it as written.
+    if (point > 0x10ffff || (point >= 0xd800 && point <= 0xdfff)) return entity;
+    return String.fromCodePoint(point);
+  });
+}
+
+function hashString(text) {
+  // FNV-1a, for a stable id when a page has nothing better.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return (hash >>> 0).toString(36);
+}
+
+function readFileFromInput(file) {
+  const reader = new FileReader();
+  const contentsPromise = new Promise((resolve, reject) => {
+    reader.onload = e => resolve(e.target?.result);
+    reader.onerror = e => reject(e.target?.error);
+  });
+  reader.readAsArrayBuffer(file);
+  return contentsPromise;
+}
+
+/**
+ * Merges a fresh import into the existing archive: upserts by id (keeping whichever copy has the
+ * newer `updated`, or the newer `format`), and keeps conversations missing from the new export, flagged `deletedUpstream`
+ * (or drops them, listed in `removed`, with `keepDeleted: false`). Returns the merged list plus what
+ * changed, so indexes can be patched instead of rebuilt.
+ */
+export function mergeConversations(existing, incoming, { keepDeleted = true } = {}) {
+  const incomingById = new Map(incoming.map(c => [c.id, c]));
+  const existingIds = new Set();
+  const conversations = [];
+  const added = [];
+  const updated = []; // [{ previous, next }]
+  const deleted = [];
+  const removed = [];
+
+  for (const previous of existing) {
+    existingIds.add(previous.id);
+    const next = incomingById.get(previous.id);
+    if (!next) {
+      if (!keepDeleted) {
+        removed.push(previous);
+        continue;
+      }
+      if (!previous.deletedUpstream) deleted.push(previous);
+      conversations.push(previous.deletedUpstream ? previous : { ...previous, deletedUpstream: true });
+    } else if (isNewerCopy(next, previous)) {
+      updated.push({ previous, next });
+      conversations.push(next);
+    } else {
+      // Unchanged (or older) copy: keep ours, but it's clearly not deleted anymore.
+      const { deletedUpstream, ...rest } = previous;
+      conversations.push(deletedUpstream ? rest : previous);
+    }
+  }
+  for (const next of incoming) {
+    if (existingIds.has(next.id)) continue;
+    added.push(next);
+    conversations.push(next);
+  }
+
+  conversations.sort(sortConversations);
+  return { conversations, added, updated, deleted, removed };
+}
+
+function isNewerCopy(next, previous) {
+  // A copy stored in an older format misses what importers extract now, even if nothing changed upstream.
+  if ((next.format ?? 1) !== (previous.format ?? 1)) return (next.format ?? 1) > (previous.format ?? 1);
+  return Number(next.updated ?? 0) > Number(previous.updated ?? 0);
+}
+
+export function sortConversations(a, b) {
+  return Number(a.time ?? 0) - Number(b.time ?? 0);
+}
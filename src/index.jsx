@@ -1,9 +1,47 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { createRoot } from 'react-dom/client';
-import JSZip from 'jszip';
-import MiniSearch from 'minisearch';
 import Markdown from 'react-markdown';
 import ReadMe from '../README.md?raw';
+import {
+  CONTENT_FACETS,
+  QuerySyntaxError,
+  SEARCH_MODES,
+  AUTHORS,
+  countMessageMatches,
+  createMatcher,
+  getMatchPattern,
+  getQueryTerms,
+  getSearchFields,
+  normalizeTag,
+  parseQuery,
+  runQuery,
+} from './query.js';
+import { MINISEARCH_INDEXES, MINISEARCH_META_KEY, loadIndex, patchIndexes } from './indexes.js';
+import { mergeConversations, sortConversations } from './importer.js';
+import { openAssetArchive } from './assets.js';
+import { isStoragePersisted, registerServiceWorker, requestPersistentStorage } from './pwa.js';
+import {
+  WrongPassphraseError,
+  changeVaultPassphrase,
+  createVault,
+  decryptBlob,
+  encryptBlob,
+  unlockVault,
+} from './crypto.js';
+import { findDuplicates, findSimilar, getFirstPrompt } from './similarity.js';
+import { getPeriodDays, getPeriodRange, getStats, getTopTerms } from './stats.js';
+import { DEFAULT_FILTERS, filterConversations, getFacets, getGizmoLabel, hasFilters, isStarred } from './facets.js';
+import { getConversationUrl, getProvider, getProviderLabel } from './providers.js';
+import { DEFAULT_LIBRARY_ID, getLibraryId } from './libraries.js';
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  downloadMarkdown,
+  exportConversations,
+  formatBranchLabel,
+  getMessageMarkdown,
+  renderConversationMarkdown,
+} from './export.js';
 
 const logPrefix = '[chatgpt-search]';
 
@@ -14,8 +52,126 @@ const STORAGE_SCHEMA_KEY = 'chatgpt-search:storage-schema-version';
 const CACHE_NAME = `chatgpt-search-cache-v${STORAGE_SCHEMA_VERSION}`;
 // Known previous cache names (kept for migration/cleanup).
 const LEGACY_CACHE_NAMES = ['myCache', 'chatgpt-search-cache-v1'];
+// Passphrase mode (see crypto.js): the vault, stored in the clear, and the header marking encrypted
+// entries (its value is the content type of what was encrypted).
+const VAULT_KEY = 'vault';
+const ENCRYPTED_HEADER = 'x-chatgpt-search-encrypted';
+// The last import's report (see `importFiles`).
+const IMPORT_REPORT_KEY = 'import-report';
+
+// How many matching messages to preview under each search result.
+const MAX_SNIPPETS = 3;
+// Characters of context to show on either side of the first match in a snippet.
+const SNIPPET_CONTEXT = 80;
+// How long typing has to pause before the search runs.
+const SEARCH_DEBOUNCE_MS = 150;
+// Result rows rendered at a time; more are added as the list is scrolled (infinite scroll).
+const RESULTS_PAGE_SIZE = 100;
+// Completions offered for the word being typed.
+const MAX_SUGGESTIONS = 8;
+// Skipped conversations / malformed messages listed per file in the import report (the download has all).
+const IMPORT_REPORT_LIMIT = 50;
+// Images per page of the gallery (each one gets unzipped when shown).
+const GALLERY_PAGE_SIZE = 60;
+// Warn once storage is this full (of the browser's quota for the site).
+const STORAGE_WARNING_RATIO = 0.8;
+
+const QUERY_HELP = [
+  'Words: matched as the search mode says (fuzzy, exact substring, whole word or case-sensitive)',
+  'Regex mode: the whole search is one JavaScript regular expression (/pattern/flags for flags, e.g. /timeout/i)',
+  '"exact phrase": must appear verbatim',
+  '-word, -"phrase", NOT word: exclude',
+  'a OR b, (grouping): either; whitespace/AND: both',
+  'title:word: only in titles',
+  'code:, output:, cite:, file:, image:word: only in code, tool output, cited sources, attachment names or image prompts',
+  'has:code|output|image|upload|dalle|citation: only conversations with that content',
+  'tag:name: only conversations you tagged so; note:word: only those whose note mentions it',
+  'author:user|assistant|system|tool: only in messages by that author',
+  'after:YYYY[-MM[-DD]]: updated on/after; before:YYYY[-MM[-DD]]: created before',
+].join('\n');
+
+// Listed by the `?` overlay; handled by App (global keys), SearchResults (results) and CommandPalette.
+const SHORTCUTS = [
+  ['/', 'Focus the search box'],
+  ['Esc', 'Leave the search box, or close the topmost panel'],
+  ['↓ or j, ↑ or k', 'Next / previous result'],
+  ['Enter', 'Open the result here'],
+  ['Shift+Enter', 'Open the result where it came from (ChatGPT, Claude, ..)'],
+  ['x', 'Select / unselect the result'],
+  ['d', 'Download the result as Markdown'],
+  ['Ctrl+K', 'Command palette (export, sorting, search mode, libraries, ..)'],
+  ['?', 'This list'],
+];
+
+const SORT_OPTIONS = {
+  relevance: 'Relevance',
+  updated: 'Updated date (newest first)',
+  created: 'Created date (newest first)',
+};
+
+// `importTarget` value for "create a new library".
+const NEW_LIBRARY = '';
+
+const DEFAULT_SETTINGS = {
+  mergeDownload: false,
+  keepFilteredSelected: false,
+  sortBy: 'updated',
+  // Which branches of edited/regenerated conversations to use: 'active' or 'all'.
+  viewerBranches: 'active',
+  searchBranches: 'active',
+  exportBranches: 'active',
+  // Which non-chat messages exports include (see DEFAULT_MESSAGE_OPTIONS in export.js).
+  exportTool: true,
+  exportSystem: false,
+  exportHidden: false,
+  // Export one of each group of near-identical conversations (e.g. retries of a prompt).
+  exportSkipDuplicates: false,
+  // 'merge': upsert into what's loaded, keeping conversations deleted upstream; 'replace': start over.
+  importMode: 'merge',
+  // Passphrase mode: lock after this many minutes without any input (0 = never).
+  autoLockMinutes: 15,
+  // MiniSearch search options (see getSearchOptions()); the defaults are MiniSearch's own.
+  // Allowed edit distance, as a fraction of each term's length (0 = exact terms only).
+  searchFuzziness: 0,
+  searchPrefix: false,
+  searchCombineWith: 'OR',
+  titleBoost: 1,
+  authorBoosts: { user: 1, assistant: 1, system: 1, tool: 1 },
+  autoSuggest: true,
+};
+const SEARCH_TUNING_KEYS = [
+  'searchFuzziness',
+  'searchPrefix',
+  'searchCombineWith',
+  'titleBoost',
+  'authorBoosts',
+  'autoSuggest',
+];
+// Settings, search state and selection (localStorage, tagged with STORAGE_SCHEMA_VERSION).
+const PERSISTED_STATE_KEY = 'chatgpt-search:state';
+// Hash params for the sidebar filters (DEFAULT_FILTERS keys); lists repeat the param, `1` = checked.
+const URL_FILTER_PARAMS = {
+  from: 'from',
+  to: 'to',
+  providers: 'provider',
+  models: 'model',
+  gizmos: 'gpt',
+  tags: 'tag',
+  minMessages: 'min',
+  maxMessages: 'max',
+  archived: 'archived',
+  starred: 'starred',
+};
 
 let didInit = false;
+let initialState = null;
+// Opened export ZIPs by library id (`openAssetArchive()` promises), to resolve asset pointers.
+const assetArchives = new Map();
+// Passphrase mode: the unlocked data key. Locking forgets it (and reloads, dropping everything else).
+let encryptionKey = null;
+// A running `recryptStorage()` pass, which other writes wait for; and the writes it waits for in turn.
+let recryption = null;
+const pendingWrites = new Set();
 const root = createRoot(document.getElementById('app') || document.body);
 root.render(<App />);
 
@@ -23,32 +179,174 @@ root.render(<App />);
 
 function App() {
   const [conversations, setConversations] = useState([]);
-  const [selectedConversations, setSelectedConversations] = useState(new Set());
-  const [input, setInput] = useState('');
-  const [fuzzy, setFuzzy] = useState(true); // State for fuzzy search toggle
+  const [selectedConversations, setSelectedConversations] = useState(() => new Set(getInitialState().selected));
+  const [input, setInput] = useState(() => getInitialState().input);
+  const searchInput = useDebouncedValue(input, SEARCH_DEBOUNCE_MS);
+  // How words match: one of SEARCH_MODES.
+  const [searchMode, setSearchMode] = useState(() => getInitialState().searchMode);
   const [loading, setLoading] = useState(false);
   const [miniSearch, setMiniSearch] = useState(null);
+  const [messageSearch, setMessageSearch] = useState(null); // Per-message index (for snippets)
   const [isIndexing, setIsIndexing] = useState(false);
-  const [settings, setSettings] = useState({
-    mergeDownload: false,
-    keepFilteredSelected: false,
-    sortBy: 'updated',
-  });
+  const [settings, setSettings] = useState(() => getInitialState().settings);
   const [showSettings, setShowSettings] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showGallery, setShowGallery] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // A new deployment is cached and ready (see public/sw.js).
+  const [updateAvailable, setUpdateAvailable] = useState(false);
+  // Whether the browser promised not to evict our storage (null: not known yet).
+  const [persisted, setPersisted] = useState(null);
+  const [showStorage, setShowStorage] = useState(false);
+  // `{ usage, quota }` once usage passes STORAGE_WARNING_RATIO.
+  const [storageWarning, setStorageWarning] = useState(null);
+  // Passphrase mode: the stored vault (null: data is stored in the clear), and whether it's still locked.
+  const [vault, setVault] = useState(null);
+  const [locked, setLocked] = useState(false);
+  // Conversation shown in the in-app reader pane (+ the terms to highlight in it).
+  const [openConversation, setOpenConversation] = useState(() => getInitialState().openConversation);
+  // Import/indexing worker progress: `{ phase, kind?, done?, total? }`.
+  const [progress, setProgress] = useState(null);
+  const [indexCancelled, setIndexCancelled] = useState(false);
+  // Why building (or loading) the search index failed, if it did.
+  const [indexError, setIndexError] = useState(null);
+  const [reindexCount, setReindexCount] = useState(0);
+  // Why saving a library or annotation change failed, if it did.
+  const [saveError, setSaveError] = useState(null);
+  // What the last import read, skipped and couldn't make sense of (`fresh`: from this session).
+  const [importReport, setImportReport] = useState(null);
+  // Files are being dragged over the page.
+  const [dragging, setDragging] = useState(false);
+  // Named libraries (e.g. one per account/export): `[{ id, name, createdAt }]`.
+  const [libraries, setLibraries] = useState([]);
+  const [libraryFilter, setLibraryFilter] = useState(() => getInitialState().libraryFilter);
+  // The user's own tags/star/note per conversation id: `{ [id]: { tags?, starred?, note? } }`. Stored
+  // apart from the imported data (`annotations` cache entry), so re-imports leave them alone.
+  const [annotations, setAnnotations] = useState({});
+  const [bulkTag, setBulkTag] = useState('');
+  // Sidebar filters (see facets.js).
+  const [filters, setFilters] = useState(() => getInitialState().filters);
+  const [importTarget, setImportTarget] = useState(NEW_LIBRARY);
+  const [newLibraryName, setNewLibraryName] = useState('');
+  // The running worker job (so it can be cancelled).
+  const jobRef = useRef(null);
+  // Indexes that came back with an import, picked up by the index effect instead of restoring.
+  const preloadedIndexesRef = useRef(null);
+  const searchRef = useRef(null);
+
+  useEffect(() => {
+    savePersistedState({
+      settings,
+      searchMode,
+      libraryFilter,
+      // With a passphrase, what you searched for, filtered by and picked is as private as what it found.
+      ...(!vault && { input, selected: Array.from(selectedConversations), filters }),
+    });
+  }, [settings, searchMode, input, selectedConversations, libraryFilter, filters, vault]);
+
+  useEffect(() => {
+    // Same for the URL, which also ends up in the browser's history.
+    if (vault) clearUrlState();
+    else writeUrlState({ input, searchMode, libraryFilter, filters, openConversation });
+  }, [input, searchMode, libraryFilter, filters, openConversation, vault]);
+
+  useEffect(() => {
+    // Global keys (see SHORTCUTS); the results handle their own.
+    const onKeyDown = e => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setShowPalette(show => !show);
+      } else if (e.key === 'Escape') {
+        if (showPalette) setShowPalette(false);
+        else if (showShortcuts) setShowShortcuts(false);
+        else if (isTyping(e.target)) e.target.blur();
+        else if (showExport) setShowExport(false);
+        else if (showGallery) setShowGallery(false);
+        else if (showStats) setShowStats(false);
+        else if (showDuplicates) setShowDuplicates(false);
+        else if (showStorage) setShowStorage(false);
+        else if (openConversation) setOpenConversation(null);
+        else if (showSettings) setShowSettings(false);
+      } else if (!isTyping(e.target) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.key === '/') {
+          e.preventDefault();
+          searchRef.current?.focus();
+        } else if (e.key === '?') {
+          setShowShortcuts(show => !show);
+        }
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [
+    showPalette,
+    showShortcuts,
+    showExport,
+    showGallery,
+    showStats,
+    showDuplicates,
+    showStorage,
+    openConversation,
+    showSettings,
+  ]);
+
+  useEffect(() => {
+    // Pasting a shared link into an already-open tab only changes the hash.
+    const onHashChange = () => {
+      const state = readUrlState();
+      setInput(state.input ?? '');
+      setSearchMode(state.searchMode ?? 'fuzzy');
+      setLibraryFilter(state.libraryFilter ?? 'all');
+      setFilters(state.filters ?? DEFAULT_FILTERS);
+      setOpenConversation(state.openConversation ?? null);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // Re-subscribed on every render, so a drop imports with the current library and settings.
+  useEffect(() => {
+    if (locked) return;
+    const hasFiles = e => !!e.dataTransfer?.types?.includes('Files');
+    const onDragOver = e => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDragging(true);
+    };
+    // Leaving the window, not just moving from one element to another.
+    const onDragLeave = e => !e.relatedTarget && setDragging(false);
+    const onDrop = e => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      setDragging(false);
+      if (!loading) importFiles(Array.from(e.dataTransfer.files));
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('dragleave', onDragLeave);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('dragleave', onDragLeave);
+      window.removeEventListener('drop', onDrop);
+    };
+  });
 
   useEffect(() => {
     if (!didInit) {
       didInit = true;
+      registerServiceWorker({ onUpdate: () => setUpdateAvailable(true) });
+      isStoragePersisted().then(setPersisted);
       (async () => {
         setLoading(true);
         try {
           await ensureStorageUpToDate();
-          console.debug(logPrefix, 'init: restoring cached conversations');
-          const c = await cacheGetJson('json');
-          console.debug(logPrefix, 'init: cached conversations restored', {
-            count: Array.isArray(c) ? c.length : undefined,
-          });
-          setConversations(c || []);
+          const storedVault = (await cacheGetVault()) ?? null;
+          setVault(storedVault);
+          if (storedVault && !encryptionKey) setLocked(true);
+          else await restore();
         } finally {
           setLoading(false);
         }
@@ -56,15 +354,11 @@ function App() {
     }
   });
 
+  useIdleTimeout(vault && !locked ? settings.autoLockMinutes * 60 * 1000 : 0, lock);
+
   useEffect(() => {
     let cancelled = false;
 
-    const miniSearchOptions = {
-      fields: ['title', 'text'],
-      // Include `time` so we can sort fuzzy results by created date too.
-      storeFields: ['id', 'title', 'updated', 'time'],
-    };
-
     const signature = getConversationsSignature(conversations);
 
     console.debug(logPrefix, 'index: effect', {
@@ -74,44 +368,73 @@ function App() {
 
     if (!conversations?.length) {
       setMiniSearch(null);
+      setMessageSearch(null);
       setIsIndexing(false);
       return;
     }
 
+    let job = null;
+
     (async () => {
       setIsIndexing(true);
+      setIndexCancelled(false);
+      setIndexError(null);
       try {
-        // 1) Try restore persisted index for this exact dataset signature.
-        console.debug(logPrefix, 'index: attempting restore', { signature });
-        const restored = await restoreMiniSearchIndex({ signature, miniSearchOptions });
-        if (restored) {
+        const preloaded = preloadedIndexesRef.current?.signature === signature ? preloadedIndexesRef.current : null;
+        preloadedIndexesRef.current = null;
+
+        // 1) Use what the import just built, or restore persisted indexes for this exact dataset signature.
+        const indexes = {};
+        for (const kind of Object.keys(MINISEARCH_INDEXES)) {
+          console.debug(logPrefix, 'index: attempting restore', { kind, signature });
+          indexes[kind] = preloaded?.indexes[kind] ?? (await restoreMiniSearchIndex({ kind, signature }));
           if (cancelled) return;
-          console.debug(logPrefix, 'index: restored persisted index', { signature });
-          setMiniSearch(restored);
-          return;
         }
 
-        // 2) Build index if restore is unavailable/mismatched.
-        console.debug(logPrefix, 'index: building index', { signature });
-        const nextMiniSearch = new MiniSearch(miniSearchOptions);
-        await nextMiniSearch.addAllAsync(conversations);
+        // 2) Build whatever couldn't be restored in the worker, then persist it.
+        const kinds = Object.keys(indexes).filter(kind => !indexes[kind]);
+        if (kinds.length) {
+          console.debug(logPrefix, 'index: building indexes', { kinds, signature });
+          job = startWorkerJob({ type: 'index', conversations, kinds }, setProgress);
+          jobRef.current = job;
+          const result = await job.promise;
+          if (cancelled) return;
+          for (const kind of kinds) {
+            indexes[kind] = loadIndex(kind, result.indexes[kind]);
+            try {
+              await persistMiniSearchIndex({ kind, signature, indexText: result.indexes[kind] });
+              console.debug(logPrefix, 'index: persisted index', { kind, signature });
+            } catch (err) {
+              // Still usable; it just gets built again next time.
+              console.warn(logPrefix, 'index: failed to persist index', { kind, signature }, err);
+            }
+          }
+        }
         if (cancelled) return;
-        setMiniSearch(nextMiniSearch);
-
-        console.debug(logPrefix, 'index: built index; persisting', { signature });
-
-        // 3) Persist the freshly-built index.
-        await persistMiniSearchIndex({ signature, miniSearchOptions, miniSearch: nextMiniSearch });
-        console.debug(logPrefix, 'index: persisted index', { signature });
+        setMiniSearch(indexes.conversations);
+        setMessageSearch(indexes.messages);
+      } catch (err) {
+        if (err?.name === 'AbortError') {
+          console.debug(logPrefix, 'index: cancelled', { signature });
+          if (!cancelled) setIndexCancelled(true);
+        } else {
+          console.warn(logPrefix, 'index: failed', { signature }, err);
+          if (!cancelled) setIndexError(err?.message ?? String(err));
+        }
       } finally {
-        if (!cancelled) setIsIndexing(false);
+        if (jobRef.current === job) jobRef.current = null;
+        if (!cancelled) {
+          setIsIndexing(false);
+          setProgress(null);
+        }
       }
     })();
 
     return () => {
       cancelled = true;
+      job?.cancel();
     };
-  }, [conversations]);
+  }, [conversations, reindexCount]);
 
   const toggleSelectConversation = conversationId => {
     setSelectedConversations(prevSelected => {
@@ -125,37 +448,121 @@ function App() {
     });
   };
 
-  const downloadSelectedConversations = () => {
-    const selected = conversations.filter(c => selectedConversations.has(c.id));
-    if (selected.length > 0) {
-      if (settings.mergeDownload) {
-        const combinedText = selected.map(c => `# ${c.title}\n\n${c.text}`).join('\n\n---\n\n');
-        downloadMarkdown(combinedText, 'selected_conversations.md');
-      } else {
-        const zip = new JSZip();
-        selected.forEach(c => {
-          zip.file(`${c.title}.md`, c.text);
-        });
-        zip.generateAsync({ type: 'blob' }).then(content => {
-          const a = document.createElement('a');
-          a.href = URL.createObjectURL(content);
-          a.download = 'selected_conversations.zip';
-          document.body.appendChild(a);
-          a.click();
-          document.body.removeChild(a);
-          URL.revokeObjectURL(a.href);
-        });
+  // What the UI works with: conversations plus their `annotation` (the index is built off the plain ones).
+  const annotatedConversations = useMemo(
+    () => conversations.map(c => (annotations[c.id] ? { ...c, annotation: annotations[c.id] } : c)),
+    [conversations, annotations],
+  );
+
+  const scopedConversations = useMemo(
+    () =>
+      libraryFilter === 'all'
+        ? annotatedConversations
+        : annotatedConversations.filter(c => getLibraryId(c) === libraryFilter),
+    [annotatedConversations, libraryFilter],
+  );
+
+  const annotate = async (ids, update) => {
+    const next = { ...annotations };
+    for (const id of ids) {
+      const annotation = normalizeAnnotation(update(next[id] ?? {}));
+      if (annotation) next[id] = annotation;
+      else delete next[id];
+    }
+    setAnnotations(next);
+    try {
+      await cachePutJson(next, 'annotations');
+    } catch (err) {
+      reportSaveError(err);
+    }
+  };
+
+  const reportSaveError = err => {
+    console.warn(logPrefix, 'save: failed', err);
+    setSaveError(err?.message ?? String(err));
+  };
+
+  const updateLibraries = async next => {
+    setLibraries(next);
+    await cachePutJson(next, 'libraries');
+  };
+
+  const renameLibrary = async (library, name) => {
+    try {
+      await updateLibraries(libraries.map(l => (l.id === library.id ? { ...l, name } : l)));
+    } catch (err) {
+      reportSaveError(err);
+    }
+  };
+
+  const deleteLibrary = async library => {
+    const removed = conversations.filter(c => getLibraryId(c) === library.id);
+    if (!confirm(`Delete the library "${library.name}" and its ${removed.length} conversations?`)) return;
+
+    const next = conversations.filter(c => getLibraryId(c) !== library.id);
+    const nextLibraries = libraries.filter(l => l.id !== library.id);
+    const signature = getConversationsSignature(next);
+    // Otherwise the index effect rebuilds from scratch.
+    const patched =
+      !isIndexing && miniSearch && messageSearch && next.length
+        ? patchIndexes({ conversations: miniSearch, messages: messageSearch }, { removed })
+        : null;
+    if (patched) preloadedIndexesRef.current = { signature, indexes: patched };
+    setConversations(next);
+    if (libraryFilter === library.id) setLibraryFilter('all');
+    if (importTarget === library.id) setImportTarget(nextLibraries[0]?.id ?? NEW_LIBRARY);
+    try {
+      await updateLibraries(nextLibraries);
+      await cachePutJson(next, 'json');
+      await cacheDelete(getLibraryFileKey(library.id));
+      forgetAssetArchive(library.id);
+      for (const kind of Object.keys(patched ?? {})) {
+        await persistMiniSearchIndex({ kind, signature, miniSearch: patched[kind] });
       }
+    } catch (err) {
+      reportSaveError(err);
     }
   };
 
   const isBusy = loading || isIndexing;
 
+  const searchOptions = useMemo(
+    () => getSearchOptions(settings),
+    [settings.searchFuzziness, settings.searchPrefix, settings.searchCombineWith, settings.titleBoost, settings.authorBoosts],
+  );
+  const suggestions = useMemo(
+    () => (settings.autoSuggest && searchMode === 'fuzzy' ? getSuggestions(miniSearch, searchInput) : []),
+    [settings.autoSuggest, searchMode, miniSearch, searchInput],
+  );
+
+  if (locked) return <LockScreen onUnlock={unlock} />;
+
   return (
     <div className={['app', isBusy ? 'loading' : 'loaded'].filter(Boolean).join(' ')}>
+      {dragging && <div className='drop-zone'>Drop files to import them</div>}
       <h1>ChatGPT Search</h1>
+      {storageWarning && (
+        <p className='storage-warning'>
+          Storage is {formatPercent(storageWarning.usage / storageWarning.quota)} full (
+          {formatBytes(storageWarning.usage)} of {formatBytes(storageWarning.quota)}).{' '}
+          <button onClick={() => setShowStorage(true)}>Manage storage</button>
+        </p>
+      )}
+      {saveError && (
+        <p className='save-error'>
+          Saving your changes failed ({saveError}). <button onClick={() => setSaveError(null)}>Dismiss</button>
+        </p>
+      )}
+      {updateAvailable && (
+        <p className='update-available'>
+          A new version is available. <button onClick={() => window.location.reload()}>Reload</button>
+        </p>
+      )}
       <button className='settings-button' onClick={() => setShowSettings(!showSettings)}>
         ⚙️
+      </button>{' '}
+      <button className='shortcuts-button' title='Keyboard shortcuts (?)' onClick={() => setShowShortcuts(true)}>
+        ⌨️
       </button>
       {showSettings && (
         <div className='settings-popup'>
@@ -165,9 +572,11 @@ function App() {
             <select
               value={settings.sortBy}
               onChange={e => setSettings(prev => ({ ...prev, sortBy: e.target.value }))}>
-              <option value='relevance'>Relevance</option>
-              <option value='updated'>Updated date (newest first)</option>
-              <option value='created'>Created date (newest first)</option>
+              {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
             </select>
           </label>
           <label>
@@ -186,9 +595,66 @@ function App() {
             />{' '}
             Keep filtered items selected
           </label>
+          {!!libraries.length && (
+            <fieldset className='libraries'>
+              <legend>Libraries</legend>
+              {libraries.map(library => (
+                <div key={library.id}>
+                  <LibraryNameInput library={library} onRename={name => renameLibrary(library, name)} />{' '}
+                  <span>{conversations.filter(c => getLibraryId(c) === library.id).length} conversations</span>{' '}
+                  <button onClick={() => deleteLibrary(library)}>Delete</button>
+                </div>
+              ))}
+            </fieldset>
+          )}
+          {[
+            ['searchBranches', 'Search'],
+            ['viewerBranches', 'Show'],
+            ['exportBranches', 'Export'],
+          ].map(([key, label]) => (
+            <label key={key}>
+              {label}:{' '}
+              <select value={settings[key]} onChange={e => setSettings(prev => ({ ...prev, [key]: e.target.value }))}>
+                <option value='active'>Active branch only</option>
+                <option value='all'>All branches (edits & regenerations)</option>
+              </select>
+            </label>
+          ))}
+          <SearchTuning settings={settings} setSettings={setSettings} />
+          <EncryptionSettings
+            vault={vault}
+            settings={settings}
+            setSettings={setSettings}
+            onEnable={enableEncryption}
+            onChangePassphrase={changePassphrase}
+            onDisable={disableEncryption}
+            onLock={lock}
+          />
+          <button onClick={() => setShowStorage(true)}>Manage storage</button>
+          <p className='storage-persistence'>
+            Offline storage:{' '}
+            {persisted
+              ? 'persistent (the browser won\'t evict it)'
+              : 'best-effort (the browser may evict it when low on disk space)'}
+            {!persisted && (
+              <>
+                {' '}
+                <button onClick={async () => setPersisted(await requestPersistentStorage())}>Keep my data</button>
+              </>
+            )}
+          </p>
         </div>
       )}
-      {isBusy && (
+      {progress && <ImportProgress progress={progress} onCancel={() => jobRef.current?.cancel()} />}
+      {(indexCancelled || indexError) && !isBusy && (
+        <p className='index-cancelled'>
+          {indexError
+            ? `Building the search index failed (${indexError}), so fuzzy search is unavailable.`
+            : 'Indexing was cancelled, so fuzzy search is unavailable.'}{' '}
+          <button onClick={() => setReindexCount(n => n + 1)}>Build the search index</button>
+        </p>
+      )}
+      {isBusy && !progress && (
         <pre className='loading'>
           {loading && isIndexing
             ? 'Loading & preparing your search index..'
@@ -200,223 +666,2252 @@ function App() {
       {!conversations.length && (
         <p>
           Goto <a href='https://chat.openai.com/#settings/DataControls'>ChatGPT » Export data</a> and upload (the
-          zip file) here, then you can search through all your conversations.
+          zip file) here, then you can search through all your conversations. Claude exports, Gemini activity from
+          Google Takeout (in JSON format), a bare conversations.json or chat.html, and saved shared conversation
+          pages work too.
         </p>
       )}
       {!!conversations?.length && (
         <>
-          <input name='search' type='text' autoFocus onChange={onType} />
+          <input
+            name='search'
+            type='text'
+            ref={searchRef}
+            autoFocus
+            value={input}
+            list='search-suggestions'
+            onChange={onType}
+            placeholder={
+              searchMode === 'regex'
+                ? 'Regular expression.. e.g. ERR_[A-Z_]+ or /connection (reset|refused)/i'
+                : 'Search.. e.g. author:assistant "rate limiter" -redis after:2024-03 title:migration'
+            }
+            title={QUERY_HELP}
+          />
+          <datalist id='search-suggestions'>
+            {suggestions.map(suggestion => (
+              <option key={suggestion} value={suggestion} />
+            ))}
+          </datalist>
           <label>
-            <input type='checkbox' checked={fuzzy} onChange={e => setFuzzy(e.target.checked)} /> Fuzzy Search
+            Match:{' '}
+            <select value={searchMode} onChange={e => setSearchMode(e.target.value)}>
+              {Object.entries(SEARCH_MODES).map(([mode, label]) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
           </label>
+          <span className='content-facets'>
+            Only with:{' '}
+            {Object.entries(CONTENT_FACETS).map(([facet, { label }]) => (
+              <label key={facet}>
+                <input type='checkbox' checked={hasFacet(input, facet)} onChange={() => setInput(toggleFacet(input, facet))} />{' '}
+                {label}
+              </label>
+            ))}
+          </span>
+          {libraries.length > 1 && (
+            <label className='library-filter'>
+              Search in:{' '}
+              <select value={libraryFilter} onChange={e => setLibraryFilter(e.target.value)}>
+                <option value='all'>All libraries</option>
+                {libraries.map(l => (
+                  <option key={l.id} value={l.id}>
+                    {l.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <SearchResults
-            input={input}
-            conversations={conversations}
-            fuzzy={fuzzy}
+            input={searchInput}
+            searchOptions={searchOptions}
+            conversations={scopedConversations}
+            libraries={libraries}
+            mode={searchMode}
             miniSearch={miniSearch}
+            messageSearch={messageSearch}
             toggleSelectConversation={toggleSelectConversation}
             selectedConversations={selectedConversations}
             settings={settings}
+            filters={filters}
+            setFilters={setFilters}
+            onAnnotate={annotate}
             setSelectedConversations={setSelectedConversations}
+            onOpenConversation={setOpenConversation}
+            keyboard={
+              !showPalette &&
+              !showShortcuts &&
+              !showExport &&
+              !showGallery &&
+              !showStats &&
+              !showDuplicates &&
+              !showStorage &&
+              !openConversation
+            }
           />
-          <button onClick={downloadSelectedConversations} disabled={!selectedConversations.size}>
+          <button onClick={() => setShowExport(true)} disabled={!selectedConversations.size}>
             Download Selected Conversations
+          </button>{' '}
+          <span className='bulk-tag'>
+            <input
+              type='text'
+              placeholder='tag'
+              aria-label='Tag for the selected conversations'
+              value={bulkTag}
+              onChange={e => setBulkTag(e.target.value)}
+            />{' '}
+            <button
+              disabled={!selectedConversations.size || !normalizeTag(bulkTag)}
+              onClick={() => annotate(selectedConversations, a => ({ ...a, tags: [...(a.tags ?? []), normalizeTag(bulkTag)] }))}>
+              Tag Selected
+            </button>{' '}
+            <button
+              disabled={!selectedConversations.size || !normalizeTag(bulkTag)}
+              onClick={() =>
+                annotate(selectedConversations, a => ({ ...a, tags: a.tags?.filter(t => t !== normalizeTag(bulkTag)) }))
+              }>
+              Untag Selected
+            </button>
+          </span>{' '}
+          <button onClick={() => setShowGallery(true)}>Image Gallery</button>{' '}
+          <button onClick={() => setShowStats(true)}>Statistics</button>{' '}
+          <button onClick={() => setShowDuplicates(true)}>Find Duplicates</button>
+        </>
+      )}
+      {importReport && <ImportReport report={importReport} />}
+      <label className='input file'>
+        Upload your data (or drop files anywhere on the page)
+        <input name='file' type='file' multiple onChange={onFile} accept='.zip,.json,.html,.htm' />
+      </label>
+      {!!libraries.length && (
+        <label className='import-target'>
+          Into library:{' '}
+          <select value={importTarget} onChange={e => setImportTarget(e.target.value)}>
+            {libraries.map(l => (
+              <option key={l.id} value={l.id}>
+                {l.name}
+              </option>
+            ))}
+            <option value={NEW_LIBRARY}>New library..</option>
+          </select>{' '}
+          {importTarget === NEW_LIBRARY && (
+            <input
+              type='text'
+              placeholder='Library name (e.g. Work)'
+              value={newLibraryName}
+              onChange={e => setNewLibraryName(e.target.value)}
+            />
+          )}
+        </label>
+      )}
+      {!!conversations.length && (
+        <label className='import-mode'>
+          <input
+            type='checkbox'
+            checked={settings.importMode === 'merge'}
+            onChange={e => setSettings(prev => ({ ...prev, importMode: e.target.checked ? 'merge' : 'replace' }))}
+          />{' '}
+          Merge new uploads into the library (keeps conversations you've deleted in ChatGPT)
+        </label>
+      )}
+      {!conversations.length && <Markdown>{ReadMe}</Markdown>}
+      {showExport && (
+        <ExportDialog
+          conversations={annotatedConversations.filter(c => selectedConversations.has(c.id))}
+          libraries={libraries}
+          settings={settings}
+          setSettings={setSettings}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+      {showGallery && (
+        <Gallery
+          conversations={scopedConversations}
+          onOpenConversation={conversation => {
+            setShowGallery(false);
+            setOpenConversation(conversation);
+          }}
+          onClose={() => setShowGallery(false)}
+        />
+      )}
+      {showStats && (
+        <StatsView
+          conversations={scopedConversations}
+          miniSearch={miniSearch}
+          onFilter={({ input = '', filters = {} }) => {
+            // Charts replace the current search with theirs.
+            setInput(input);
+            setFilters({ ...DEFAULT_FILTERS, ...filters });
+            setShowStats(false);
+          }}
+          onClose={() => setShowStats(false)}
+        />
+      )}
+      {showDuplicates && (
+        <DuplicatesView
+          conversations={scopedConversations}
+          selectedConversations={selectedConversations}
+          toggleSelectConversation={toggleSelectConversation}
+          setSelectedConversations={setSelectedConversations}
+          onOpenConversation={setOpenConversation}
+          onClose={() => setShowDuplicates(false)}
+        />
+      )}
+      {openConversation && (
+        <ConversationView
+          conversation={annotatedConversations.find(c => c.id === openConversation.id)}
+          highlight={openConversation.highlight}
+          highlightMode={openConversation.mode}
+          messageIndex={openConversation.messageIndex}
+          branches={settings.viewerBranches}
+          miniSearch={miniSearch}
+          conversations={scopedConversations}
+          onOpenConversation={setOpenConversation}
+          onChangeBranches={viewerBranches => setSettings(prev => ({ ...prev, viewerBranches }))}
+          onClose={() => setOpenConversation(null)}
+        />
+      )}
+      {showPalette && <CommandPalette commands={getCommands()} onClose={() => setShowPalette(false)} />}
+      {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+      {showStorage && (
+        <StorageView
+          libraries={libraries}
+          onClose={() => {
+            setShowStorage(false);
+            checkStorage();
+          }}
+        />
+      )}
+    </div>
+  );
+
+  async function restore() {
+    console.debug(logPrefix, 'init: restoring cached conversations');
+    const c = await cacheGetJson('json');
+    console.debug(logPrefix, 'init: cached conversations restored', {
+      count: Array.isArray(c) ? c.length : undefined,
+    });
+    setAnnotations((await cacheGetJson('annotations')) || {});
+    setImportReport((await cacheGetJson(IMPORT_REPORT_KEY)) ?? null);
+    const l = normalizeLibraries(await cacheGetJson('libraries'), c || []);
+    setLibraries(l);
+    if (l.length) setImportTarget(l[0].id);
+    setConversations(c || []);
+    checkStorage();
+  }
+
+  async function unlock(passphrase) {
+    encryptionKey = await unlockVault(vault, passphrase);
+    setLocked(false);
+    setLoading(true);
+    try {
+      await restore();
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function lock() {
+    encryptionKey = null;
+    clearUrlState();
+    window.location.reload();
+  }
+
+  async function enableEncryption(passphrase) {
+    const created = await createVault(passphrase);
+    // Vault first: if this gets interrupted, every entry is readable whether or not it got encrypted yet.
+    await cachePutVault(created.vault);
+    encryptionKey = created.key;
+    await recryptStorage(created.key);
+    setVault(created.vault);
+  }
+
+  async function changePassphrase(passphrase, newPassphrase) {
+    const next = await changeVaultPassphrase(vault, passphrase, newPassphrase);
+    await cachePutVault(next);
+    setVault(next);
+  }
+
+  async function disableEncryption(passphrase) {
+    // Same as enabling, backwards: the vault goes last.
+    await unlockVault(vault, passphrase);
+    await recryptStorage(null);
+    await cacheDelete(VAULT_KEY);
+    setVault(null);
+  }
+
+  async function checkStorage() {
+    const estimate = await getStorageEstimate();
+    setStorageWarning(estimate?.quota && estimate.usage / estimate.quota > STORAGE_WARNING_RATIO ? estimate : null);
+  }
+
+  function getCommands() {
+    // Only what makes sense right now (e.g. no "Download selected" without a selection).
+    const hasConversations = !!conversations.length;
+    return [
+      hasConversations && { label: 'Focus search', run: () => searchRef.current?.focus() },
+      !!selectedConversations.size && {
+        label: `Download ${selectedConversations.size} selected conversation${selectedConversations.size === 1 ? '' : 's'}..`,
+        run: () => setShowExport(true),
+      },
+      !!selectedConversations.size && { label: 'Clear selection', run: () => setSelectedConversations(new Set()) },
+      ...Object.entries(SORT_OPTIONS)
+        .filter(([sortBy]) => sortBy !== settings.sortBy)
+        .map(([sortBy, label]) => ({
+          label: `Sort by ${label.toLowerCase()}`,
+          run: () => setSettings(prev => ({ ...prev, sortBy })),
+        })),
+      ...Object.entries(SEARCH_MODES)
+        .filter(([mode]) => mode !== searchMode)
+        .map(([mode, label]) => ({ label: `Match: ${label.toLowerCase()}`, run: () => setSearchMode(mode) })),
+      !!input && { label: 'Clear search', run: () => setInput('') },
+      hasFilters(filters) && { label: 'Clear filters', run: () => setFilters(DEFAULT_FILTERS) },
+      hasConversations && { label: 'Image gallery', run: () => setShowGallery(true) },
+      hasConversations && { label: 'Statistics', run: () => setShowStats(true) },
+      hasConversations && { label: 'Find duplicates', run: () => setShowDuplicates(true) },
+      { label: 'Settings', run: () => setShowSettings(true) },
+      { label: 'Manage storage', run: () => setShowStorage(true) },
+      !!vault && { label: 'Lock', run: lock },
+      ...libraries.map(library => ({ label: `Delete library "${library.name}"..`, run: () => deleteLibrary(library) })),
+      { label: 'Keyboard shortcuts', run: () => setShowShortcuts(true) },
+    ].filter(Boolean);
+  }
+
+  async function onType(e) {
+    const text = e.target.value;
+    setInput(text);
+  }
+
+  async function onFile(e) {
+    try {
+      await importFiles(Array.from(e.target.files));
+    } finally {
+      // Allow re-selecting the same file(s) after a cancel.
+      e.target.value = '';
+    }
+  }
+
+  async function importFiles(files) {
+    if (!files.length) return;
+    const library = libraries.find(l => l.id === importTarget) ?? createLibrary(newLibraryName, libraries);
+    const merge = settings.importMode === 'merge';
+    const report = { time: Date.now(), library: library.name, merge, added: 0, updated: 0, deleted: 0, files: [] };
+    let next = conversations;
+    // Indexes to patch into `next` once it's saved, and the conversations they index. Live indexes only
+    // qualify if they match what's loaded (i.e. indexing has finished); an import into nothing gets the
+    // worker's, still serialized (`texts`) as well.
+    let base =
+      conversations.length > 0 && !isIndexing && miniSearch && messageSearch
+        ? { conversations, indexes: { conversations: miniSearch, messages: messageSearch } }
+        : null;
+    try {
+      setLoading(true);
+      for (const [i, file] of files.entries()) {
+        console.debug(logPrefix, 'file: selected', {
+          name: file.name,
+          size: file.size,
+          type: file.type,
+          lastModified: file.lastModified,
+        });
+        const fileReport = { name: file.name, size: file.size };
+        report.files.push(fileReport);
+
+        let result;
+        try {
+          const job = startWorkerJob({ type: 'import', file, index: !next.length }, p =>
+            setProgress({ ...p, file: i + 1, files: files.length }),
+          );
+          jobRef.current = job;
+          result = await job.promise;
+        } catch (err) {
+          if (err?.name === 'AbortError') {
+            // Keep what's imported so far; the rest is left out.
+            console.debug(logPrefix, 'file: import cancelled');
+            fileReport.error = 'Cancelled';
+            report.files.push(...files.slice(i + 1).map(f => ({ name: f.name, size: f.size, error: 'Cancelled' })));
+            break;
+          }
+          // One unreadable file doesn't stop the others.
+          console.warn(logPrefix, 'file: import failed', file.name, err);
+          fileReport.error = err?.message ?? String(err);
+          continue;
+        }
+
+        const { conversations: imported, importer, assets, report: validation, indexes } = result;
+        console.debug(logPrefix, 'file: processed', {
+          conversationsCount: imported?.length ?? 0,
+          importer: importer.id,
+          merge,
+        });
+        Object.assign(fileReport, { source: importer.label, imported: imported.length, ...validation });
+
+        const tagged = imported.map(c => ({ ...c, library: library.id }));
+        const merged = mergeIntoLibrary(next, tagged, library.id, {
+          keepDeleted: merge,
+          provider: importer.provider,
+          partial: importer.partial,
+        });
+        report.added += merged.added.length;
+        report.updated += merged.updated.length;
+        report.deleted += merged.deleted.length + merged.removed.length - merged.moved.length;
+        if (!next.length && indexes) {
+          base = {
+            conversations: merged.conversations,
+            indexes: Object.fromEntries(Object.entries(indexes).map(([kind, text]) => [kind, loadIndex(kind, text)])),
+            texts: indexes,
+          };
+        }
+        next = merged.conversations;
+        console.debug(logPrefix, 'file: merged', { library, conversations: next.length });
+
+        // Keep the ZIP for the images and files it holds; other uploads would only take its place.
+        if (assets) {
+          try {
+            await cachePutFile(file, getLibraryFileKey(library.id));
+            forgetAssetArchive(library.id);
+          } catch (err) {
+            // The conversations still get imported, just without their images and files.
+            console.warn(logPrefix, 'file: failed to store', file.name, err);
+            fileReport.error = `Couldn't store the file for its images and attachments: ${err?.message ?? err}`;
+          }
+        }
+      }
+
+      report.total = next.length;
+      if (report.files.some(f => f.imported != null)) {
+        // Saved first: nothing (the live indexes included) changes unless this works.
+        await cachePutJson(next, 'json');
+        if (!libraries.includes(library)) await updateLibraries([...libraries, library]);
+
+        // Otherwise the index effect rebuilds from scratch.
+        let nextIndexes = null;
+        let indexTexts = null;
+        if (base) {
+          const diff = diffConversations(base.conversations, next);
+          try {
+            nextIndexes = patchIndexes(base.indexes, diff);
+            if (!diff.added.length && !diff.updated.length && !diff.removed.length) indexTexts = base.texts;
+          } catch (err) {
+            console.warn(logPrefix, 'file: failed to patch the indexes, rebuilding them', err);
+          }
+        }
+        const signature = getConversationsSignature(next);
+        if (nextIndexes) preloadedIndexesRef.current = { signature, indexes: nextIndexes };
+        setConversations(next);
+        setImportTarget(library.id);
+        setNewLibraryName('');
+        // Now there's something worth keeping.
+        requestPersistentStorage().then(setPersisted);
+        checkStorage();
+        if (nextIndexes) {
+          for (const kind of Object.keys(nextIndexes)) {
+            // Freshly built indexes arrive serialized; patched ones get serialized here.
+            await persistMiniSearchIndex({
+              kind,
+              signature,
+              indexText: indexTexts?.[kind],
+              miniSearch: nextIndexes[kind],
+            });
+          }
+        }
+        console.debug(logPrefix, 'file: cached conversations + source zip + indexes');
+      }
+    } catch (err) {
+      console.warn(logPrefix, 'file: import failed', err);
+      report.error = err?.message ?? String(err);
+    } finally {
+      jobRef.current = null;
+      setProgress(null);
+      setLoading(false);
+    }
+    setImportReport({ ...report, fresh: true });
+    await cachePutJson(report, IMPORT_REPORT_KEY).catch(err =>
+      console.warn(logPrefix, 'file: failed to store the import report', err),
+    );
+  }
+}
+
+function SearchResults({
+  input,
+  searchOptions,
+  conversations,
+  libraries,
+  mode,
+  miniSearch,
+  messageSearch,
+  toggleSelectConversation,
+  selectedConversations,
+  setSelectedConversations,
+  settings,
+  filters,
+  setFilters,
+  onAnnotate,
+  onOpenConversation,
+  keyboard,
+}) {
+  // Conversation whose tags/note are being edited.
+  const [editing, setEditing] = useState(null);
+  // How many of the results are rendered (see RESULTS_PAGE_SIZE).
+  const [limit, setLimit] = useState(RESULTS_PAGE_SIZE);
+  // Index of the result the keyboard is on (-1: none yet).
+  const [cursor, setCursor] = useState(-1);
+  const moreRef = useRef(null);
+  const listRef = useRef(null);
+
+  const byId = useMemo(() => new Map(conversations.map(c => [c.id, c])), [conversations]);
+
+  useEffect(() => {
+    if (!settings.keepFilteredSelected) {
+      setSelectedConversations(prevSelected => {
+        const updatedSelected = new Set(Array.from(prevSelected).filter(id => byId.has(id)));
+        return updatedSelected;
+      });
+    }
+  }, [settings.keepFilteredSelected, byId]);
+
+  const allBranches = settings.searchBranches === 'all';
+  // Only re-run the search when something it depends on changes (not on selection, editing, ..).
+  const { showing, snippets, query, queryError, facetConversations } = useMemo(search, [
+    input,
+    byId,
+    mode,
+    miniSearch,
+    messageSearch,
+    filters,
+    settings.searchBranches,
+    settings.sortBy,
+    searchOptions,
+  ]);
+  const facets = useMemo(() => getFacets(facetConversations, filters), [facetConversations, filters]);
+
+  useEffect(() => {
+    setLimit(RESULTS_PAGE_SIZE);
+    setCursor(-1);
+  }, [showing]);
+
+  useEffect(() => {
+    listRef.current?.children[cursor]?.scrollIntoView({ block: 'nearest' });
+  }, [cursor]);
+
+  // Re-subscribed on every render, so the handler always sees the current results and cursor.
+  useEffect(() => {
+    if (!keyboard) return;
+    const onKeyDown = e => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      const c = showing[cursor];
+      switch (e.key) {
+        case 'ArrowDown':
+        case 'j':
+          move(1);
+          break;
+        case 'ArrowUp':
+        case 'k':
+          move(-1);
+          break;
+        case 'Enter':
+          // Buttons and links keep Enter for themselves.
+          if (!c || e.target.closest?.('a, button')) return;
+          if (e.shiftKey) {
+            const url = getConversationUrl(byId.get(c.id));
+            if (url) window.open(url, '_blank', 'noopener');
+          }
+          else onOpenConversation({ id: c.id, highlight: getHighlightTerms(c), mode });
+          break;
+        case 'x':
+          if (!c) return;
+          toggleSelectConversation(c.id);
+          break;
+        case 'd':
+          if (!c) return;
+          download(byId.get(c.id));
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  });
+
+  useEffect(() => {
+    // Render the next page once the end of the list scrolls into view.
+    if (!moreRef.current) return;
+    const observer = new IntersectionObserver(
+      entries => entries.some(entry => entry.isIntersecting) && setLimit(l => l + RESULTS_PAGE_SIZE),
+      { rootMargin: '400px' },
+    );
+    observer.observe(moreRef.current);
+    return () => observer.disconnect();
+  }, [showing, limit]);
+
+  return (
+    <>
+      {queryError && <p className='query-error'>{queryError}</p>}
+      <div className='results'>
+        <FilterSidebar facets={facets} filters={filters} setFilters={setFilters} />
+        <div>
+          <p className='search-results'>
+            Showing {showing.length} of {conversations?.length ?? 0} conversations
+          </p>
+          <ol className='search-results' ref={listRef}>
+            {showing.slice(0, limit).map((c, i) => (
+              <li key={c.id} className={i === cursor ? 'current' : undefined}>
+                {map(c)}
+              </li>
+            ))}
+            {showing.length > limit && (
+              <li className='more' ref={moreRef}>
+                Loading more..
+              </li>
+            )}
+          </ol>
+        </div>
+      </div>
+    </>
+  );
+
+  function search() {
+    let showing = [];
+    // Top matching messages per conversation id (for snippet previews).
+    let snippets = new Map();
+
+    let query = null;
+    let queryError = null;
+    try {
+      query = parseQuery(input, { mode });
+    } catch (err) {
+      if (!(err instanceof QuerySyntaxError)) throw err;
+      queryError = err.message;
+    }
+
+    // With only sidebar filters set (empty search box), start from every conversation.
+    if (!query && !queryError && hasFilters(filters)) query = { root: null, authors: [] };
+
+    // The sidebar counts what the search matched (or, before searching, everything).
+    let facetConversations = conversations;
+    if (!query) return { showing, snippets, query, queryError, facetConversations };
+
+    // Fuzzy mode goes through the MiniSearch index; the other modes scan the text.
+    if (mode !== 'fuzzy' || miniSearch) {
+      showing = runQuery(query, {
+        conversations,
+        miniSearch: mode === 'fuzzy' ? miniSearch : null,
+        mode,
+        branches: settings.searchBranches,
+        searchOptions,
+      });
+    }
+    facetConversations = showing.map(c => byId.get(c.id));
+    const filtered = new Set(filterConversations(facetConversations, filters).map(c => c.id));
+    showing = showing.filter(c => filtered.has(c.id));
+    snippets = getSnippets(query, showing);
+
+    // Sort results (relevance / updated / created)
+    const sortBy = settings?.sortBy || 'updated';
+
+    if (sortBy === 'relevance') {
+      // Every mode is scored (scans count occurrences, titles weighted up); tie-break by updated.
+      showing.sort((a, b) => {
+        const scoreA = Number(a?.score ?? 0);
+        const scoreB = Number(b?.score ?? 0);
+        if (scoreB !== scoreA) return scoreB - scoreA;
+        return getUpdated(b) - getUpdated(a);
+      });
+    } else if (sortBy === 'created') {
+      showing.sort((a, b) => {
+        const diff = getCreated(b) - getCreated(a);
+        if (diff) return diff;
+        // Tie-break: if fuzzy search has a score, keep more relevant first.
+        const scoreA = Number(a?.score ?? 0);
+        const scoreB = Number(b?.score ?? 0);
+        return scoreB - scoreA;
+      });
+    } else {
+      // Default: updated date (newest first)
+      showing.sort((a, b) => {
+        const diff = getUpdated(b) - getUpdated(a);
+        if (diff) return diff;
+        const scoreA = Number(a?.score ?? 0);
+        const scoreB = Number(b?.score ?? 0);
+        return scoreB - scoreA;
+      });
+    }
+    return { showing, snippets, query, queryError, facetConversations };
+  }
+
+  function map(c) {
+    const date = new Date(c.updated * 1000).toLocaleString();
+    const con = byId.get(c.id);
+    return (
+      <>
+        <input
+          type='checkbox'
+          checked={selectedConversations.has(c.id)}
+          onChange={() => toggleSelectConversation(c.id)}
+        />
+        <button
+          className='star'
+          title={con.starred ? 'Starred in ChatGPT' : con.annotation?.starred ? 'Unstar' : 'Star'}
+          disabled={con.starred}
+          onClick={() => onAnnotate([c.id], a => ({ ...a, starred: !a.starred }))}>
+          {isStarred(con) ? '★' : '☆'}
+        </button>
+        <a
+          href={getConversationHref(con)}
+          title='Open in the reader pane'
+          onClick={e => {
+            e.preventDefault();
+            onOpenConversation({ id: c.id, highlight: getHighlightTerms(c), mode });
+          }}>
+          {c.title}
+        </a>{' '}
+        {getConversationUrl(con) && (
+          <>
+            <a
+              className='external'
+              href={getConversationUrl(con)}
+              title={`Open in ${getProviderLabel(getProvider(con))}`}>
+              ↗
+            </a>{' '}
+          </>
+        )}
+        <span>({date})</span>
+        {c.matches > 0 && (
+          <>
+            {' '}
+            <span className='badge matches'>
+              {c.matches} {c.matches === 1 ? 'match' : 'matches'}
+            </span>
+          </>
+        )}
+        {libraries.length > 1 && (
+          <>
+            {' '}
+            <span className='badge library'>{libraries.find(l => l.id === getLibraryId(con))?.name}</span>
+          </>
+        )}
+        {con?.deletedUpstream && (
+          <>
+            {' '}
+            <span className='badge deleted-upstream' title='Missing from the latest export'>
+              deleted upstream
+            </span>
+          </>
+        )}
+        {con.annotation?.tags?.map(tag => (
+          <React.Fragment key={tag}>
+            {' '}
+            <span className='badge tag'>#{tag}</span>
+          </React.Fragment>
+        ))}
+        <span> </span>
+        <button className='edit' title='Edit tags and note' onClick={() => setEditing(editing === c.id ? null : c.id)}>
+          ✏️
+        </button>
+        <button
+          className='download'
+          title='Download conversation as markdown'
+          onClick={() => download(con)}>
+          💾
+        </button>
+        {editing === c.id ? (
+          <AnnotationEditor
+            annotation={con.annotation ?? {}}
+            onSave={({ tags, note }) => {
+              onAnnotate([c.id], a => ({ ...a, tags, note }));
+              setEditing(null);
+            }}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          con.annotation?.note && <p className='note'>{con.annotation.note}</p>
+        )}
+        {snippets.has(c.id) && (
+          <ul className='snippets'>
+            {snippets.get(c.id).map(({ index, terms }) => (
+              <li key={index}>
+                <a
+                  href={getConversationHref(con ?? c)}
+                  onClick={e => {
+                    e.preventDefault();
+                    onOpenConversation({ id: c.id, highlight: terms, mode, messageIndex: index });
+                  }}>
+                  <Snippet message={con?.messages?.[index]} terms={terms} mode={mode} />
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    );
+  }
+
+  function move(delta) {
+    if (!showing.length) return;
+    const next = Math.min(Math.max(cursor + delta, 0), showing.length - 1);
+    if (next >= limit) setLimit(l => l + RESULTS_PAGE_SIZE);
+    setCursor(next);
+  }
+
+  function download(con) {
+    downloadMarkdown(renderConversationMarkdown(con, getExportOptions(settings)), `${con.title}.md`);
+  }
+
+  function getSnippets(query, showing) {
+    const byConversation = new Map();
+    const terms = getQueryTerms(query);
+    if (!terms.length) return byConversation;
+
+    const matched = new Set(showing.map(c => c.id));
+    const isCandidate = m =>
+      (allBranches || m.active !== false) && (!query.authors.length || query.authors.includes(m.author));
+    let hits = [];
+    if (mode === 'fuzzy') {
+      if (!messageSearch) return byConversation;
+      hits = messageSearch.search(terms.join(' '), {
+        // Match messages the way the results were matched (but any word will do for a preview).
+        fuzzy: searchOptions.fuzzy,
+        prefix: searchOptions.prefix,
+        filter: r => matched.has(r.conversationId) && isCandidate(r),
+      });
+    } else {
+      const matchers = terms.map(term => createMatcher(term, mode));
+      for (const c of conversations) {
+        if (!matched.has(c.id)) continue;
+        c.messages?.forEach((m, index) => {
+          if (!isCandidate(m)) return;
+          const score = matchers.reduce((sum, matcher) => sum + countMessageMatches(m, matcher), 0);
+          if (score) hits.push({ conversationId: c.id, index, score, terms });
+        });
+      }
+      hits.sort((a, b) => b.score - a.score);
+    }
+    for (const hit of hits) {
+      const list = byConversation.get(hit.conversationId) ?? [];
+      if (list.length >= MAX_SNIPPETS) continue;
+      list.push({ index: hit.index, terms: hit.terms });
+      byConversation.set(hit.conversationId, list);
+    }
+    return byConversation;
+  }
+
+  function getHighlightTerms(c) {
+    // Fuzzy results carry the (processed) index terms that matched; other modes the query's words/phrases.
+    return c.terms ?? [];
+  }
+
+  function getUpdated(c) {
+    return Number(c?.updated ?? 0);
+  }
+
+  function getCreated(c) {
+    return Number(c?.time ?? 0);
+  }
+}
+
+function SearchTuning({ settings, setSettings }) {
+  const set = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+  const authorLabels = { user: 'Your prompts', assistant: 'Answers', system: 'System', tool: 'Tools' };
+  return (
+    <fieldset className='search-tuning'>
+      <legend>Search tuning (fuzzy search)</legend>
+      <label>
+        Fuzziness:{' '}
+        <input
+          type='range'
+          min='0'
+          max='0.5'
+          step='0.05'
+          value={settings.searchFuzziness}
+          onChange={e => set('searchFuzziness', Number(e.target.value))}
+        />{' '}
+        {settings.searchFuzziness ? `${Math.round(settings.searchFuzziness * 100)}% of a word may differ` : 'off'}
+      </label>
+      <label>
+        <input type='checkbox' checked={settings.searchPrefix} onChange={e => set('searchPrefix', e.target.checked)} />{' '}
+        Match word beginnings (e.g. "deploy" finds "deployment")
+      </label>
+      <label>
+        Results must contain:{' '}
+        <select value={settings.searchCombineWith} onChange={e => set('searchCombineWith', e.target.value)}>
+          <option value='OR'>Any of the words</option>
+          <option value='AND'>All of the words</option>
+        </select>
+      </label>
+      <div className='boosts'>
+        Boost:{' '}
+        <label>
+          Titles{' '}
+          <input
+            type='number'
+            min='0'
+            step='0.5'
+            value={settings.titleBoost}
+            onChange={e => set('titleBoost', Number(e.target.value))}
+          />
+        </label>
+        {AUTHORS.map(author => (
+          <label key={author}>
+            {' '}
+            {authorLabels[author]}{' '}
+            <input
+              type='number'
+              min='0'
+              step='0.5'
+              value={settings.authorBoosts[author] ?? 1}
+              onChange={e => set('authorBoosts', { ...settings.authorBoosts, [author]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+      <label>
+        <input type='checkbox' checked={settings.autoSuggest} onChange={e => set('autoSuggest', e.target.checked)} />{' '}
+        Suggest words while typing
+      </label>
+      <button
+        onClick={() =>
+          setSettings(prev => ({ ...prev, ...Object.fromEntries(SEARCH_TUNING_KEYS.map(key => [key, DEFAULT_SETTINGS[key]])) }))
+        }>
+        Reset search tuning
+      </button>
+    </fieldset>
+  );
+}
+
+function AnnotationEditor({ annotation, onSave, onCancel }) {
+  const [tags, setTags] = useState((annotation.tags ?? []).join(', '));
+  const [note, setNote] = useState(annotation.note ?? '');
+  return (
+    <form
+      className='annotation-editor'
+      onSubmit={e => {
+        e.preventDefault();
+        onSave({ tags: tags.split(',').map(normalizeTag), note });
+      }}>
+      <input type='text' placeholder='Tags, comma separated' value={tags} onChange={e => setTags(e.target.value)} />
+      <textarea placeholder='Note' rows={3} value={note} onChange={e => setNote(e.target.value)} />
+      <div>
+        <button type='button' onClick={onCancel}>
+          Cancel
+        </button>{' '}
+        <button type='submit'>Save</button>
+      </div>
+    </form>
+  );
+}
+
+function LibraryNameInput({ library, onRename }) {
+  // Saved once done editing (blur or Enter), not on every keystroke.
+  const [name, setName] = useState(library.name);
+  useEffect(() => {
+    setName(library.name);
+  }, [library.name]);
+  const save = () => {
+    if (name.trim() && name !== library.name) onRename(name.trim());
+    else setName(library.name);
+  };
+  return (
+    <input
+      type='text'
+      value={name}
+      aria-label='Library name'
+      onChange={e => setName(e.target.value)}
+      onBlur={save}
+      onKeyDown={e => e.key === 'Enter' && e.currentTarget.blur()}
+    />
+  );
+}
+
+function FilterSidebar({ facets, filters, setFilters }) {
+  const set = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const toggle = (key, value) =>
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+  // Keep ticked choices listed (at 0) even when nothing else matches them, so they can be unticked.
+  const withSelected = (counts, selected) => [
+    ...counts,
+    ...selected.filter(value => !counts.some(([v]) => v === value)).map(value => [value, 0]),
+  ];
+  const providers = withSelected(facets.providers, filters.providers);
+  const models = withSelected(facets.models, filters.models);
+  const gizmos = withSelected(facets.gizmos, filters.gizmos);
+  const tags = withSelected(facets.tags, filters.tags);
+
+  return (
+    <aside className='filters'>
+      <h3>
+        Filters{' '}
+        {hasFilters(filters) && (
+          <button onClick={() => setFilters(DEFAULT_FILTERS)} title='Clear all filters'>
+            Clear
+          </button>
+        )}
+      </h3>
+      <fieldset>
+        <legend>Active between</legend>
+        <input
+          type='date'
+          aria-label='From'
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={e => set('from', e.target.value)}
+        />
+        <input
+          type='date'
+          aria-label='To'
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={e => set('to', e.target.value)}
+        />
+      </fieldset>
+      {providers.length > 1 && (
+        <fieldset>
+          <legend>Source</legend>
+          {providers.map(([provider, count]) => (
+            <label key={provider}>
+              <input
+                type='checkbox'
+                checked={filters.providers.includes(provider)}
+                onChange={() => toggle('providers', provider)}
+              />{' '}
+              {getProviderLabel(provider)} <span className='count'>{count}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+      {!!models.length && (
+        <fieldset>
+          <legend>Model</legend>
+          {models.map(([model, count]) => (
+            <label key={model}>
+              <input type='checkbox' checked={filters.models.includes(model)} onChange={() => toggle('models', model)} />{' '}
+              {model} <span className='count'>{count}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+      {!!gizmos.length && (
+        <fieldset>
+          <legend>Custom GPT / project</legend>
+          {gizmos.map(([gizmo, count]) => (
+            <label key={gizmo} title={gizmo}>
+              <input type='checkbox' checked={filters.gizmos.includes(gizmo)} onChange={() => toggle('gizmos', gizmo)} />{' '}
+              {getGizmoLabel(gizmo)} <span className='count'>{count}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+      {!!tags.length && (
+        <fieldset>
+          <legend>Tags</legend>
+          {tags.map(([tag, count]) => (
+            <label key={tag}>
+              <input type='checkbox' checked={filters.tags.includes(tag)} onChange={() => toggle('tags', tag)} /> #{tag}{' '}
+              <span className='count'>{count}</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+      <fieldset>
+        <legend>Messages</legend>
+        <input
+          type='number'
+          min='0'
+          aria-label='At least'
+          placeholder={facets.messages ? `min ${facets.messages.min}` : 'min'}
+          value={filters.minMessages}
+          onChange={e => set('minMessages', e.target.value)}
+        />
+        <input
+          type='number'
+          min='0'
+          aria-label='At most'
+          placeholder={facets.messages ? `max ${facets.messages.max}` : 'max'}
+          value={filters.maxMessages}
+          onChange={e => set('maxMessages', e.target.value)}
+        />
+      </fieldset>
+      <fieldset>
+        <legend>Only</legend>
+        <label>
+          <input type='checkbox' checked={filters.archived} onChange={e => set('archived', e.target.checked)} /> Archived{' '}
+          <span className='count'>{facets.archived}</span>
+        </label>
+        <label>
+          <input type='checkbox' checked={filters.starred} onChange={e => set('starred', e.target.checked)} /> Starred{' '}
+          <span className='count'>{facets.starred}</span>
+        </label>
+      </fieldset>
+    </aside>
+  );
+}
+
+function ExportDialog({ conversations, libraries, settings, setSettings, onClose }) {
+  const [format, setFormat] = useState('markdown');
+  const [merge, setMerge] = useState(settings.mergeDownload);
+  const [branches, setBranches] = useState(settings.exportBranches);
+  const [error, setError] = useState(null);
+
+  const onExport = async () => {
+    try {
+      setError(null);
+      await exportConversations(conversations, {
+        ...getExportOptions(settings),
+        format,
+        branches,
+        merge,
+        libraries,
+        skipDuplicates: settings.exportSkipDuplicates,
+      });
+      onClose();
+    } catch (err) {
+      console.warn(logPrefix, 'export: failed', err);
+      setError(err?.message ?? String(err));
+    }
+  };
+
+  return (
+    <dialog open className='export-dialog'>
+      <h2>
+        Export {conversations.length} conversation{conversations.length === 1 ? '' : 's'}
+      </h2>
+      <fieldset>
+        <legend>Format</legend>
+        {Object.entries(EXPORT_FORMATS).map(([value, label]) => (
+          <label key={value}>
+            <input type='radio' name='format' value={value} checked={format === value} onChange={() => setFormat(value)} />{' '}
+            {label}
+          </label>
+        ))}
+      </fieldset>
+      {format === 'markdown' && (
+        <label>
+          <input type='checkbox' checked={merge} onChange={e => setMerge(e.target.checked)} /> Merge into a single
+          Markdown file
+        </label>
+      )}
+      <label>
+        Branches:{' '}
+        <select value={branches} onChange={e => setBranches(e.target.value)}>
+          <option value='active'>Active branch only</option>
+          <option value='all'>All branches (edits & regenerations)</option>
+        </select>
+      </label>
+      <label>
+        <input
+          type='checkbox'
+          checked={settings.exportSkipDuplicates}
+          onChange={e => setSettings(prev => ({ ...prev, exportSkipDuplicates: e.target.checked }))}
+        />{' '}
+        Skip duplicates (keep the newest of each group of near-identical conversations)
+      </label>
+      <fieldset>
+        <legend>Include</legend>
+        {[
+          ['exportTool', 'Tool messages (code execution output, browsing, ..)'],
+          ['exportSystem', 'System messages'],
+          ['exportHidden', 'Hidden messages (custom instructions, ..)'],
+        ].map(([key, label]) => (
+          <label key={key}>
+            <input
+              type='checkbox'
+              checked={settings[key]}
+              onChange={e => setSettings(prev => ({ ...prev, [key]: e.target.checked }))}
+            />{' '}
+            {label}
+          </label>
+        ))}
+      </fieldset>
+      {error && <p className='error'>{error}</p>}
+      <div className='actions'>
+        <button onClick={onClose}>Cancel</button> <button onClick={onExport}>Export</button>
+      </div>
+    </dialog>
+  );
+}
+
+function CommandPalette({ commands, onClose }) {
+  const [filter, setFilter] = useState('');
+  const [index, setIndex] = useState(0);
+  // Every typed word has to appear in the label, in any order.
+  const words = filter.toLowerCase().split(/\s+/).filter(Boolean);
+  const matching = commands.filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+
+  useEffect(() => setIndex(0), [filter]);
+
+  const run = command => {
+    onClose();
+    command.run();
+  };
+
+  return (
+    <dialog open className='command-palette'>
+      <input
+        type='text'
+        autoFocus
+        placeholder='Type a command..'
+        aria-label='Command'
+        value={filter}
+        onChange={e => setFilter(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === 'ArrowDown') setIndex(i => Math.min(i + 1, matching.length - 1));
+          else if (e.key === 'ArrowUp') setIndex(i => Math.max(i - 1, 0));
+          else if (e.key === 'Enter' && matching[index]) run(matching[index]);
+          else return;
+          e.preventDefault();
+        }}
+      />
+      <ul>
+        {matching.map((command, i) => (
+          <li
+            key={command.label}
+            className={i === index ? 'current' : undefined}
+            onMouseEnter={() => setIndex(i)}
+            onClick={() => run(command)}>
+            {command.label}
+          </li>
+        ))}
+      </ul>
+      {!matching.length && <p>No matching commands</p>}
+    </dialog>
+  );
+}
+
+function ShortcutsHelp({ onClose }) {
+  return (
+    <dialog open className='shortcuts'>
+      <h2>Keyboard shortcuts</h2>
+      <table>
+        <tbody>
+          {SHORTCUTS.map(([keys, description]) => (
+            <tr key={keys}>
+              <td>
+                <kbd>{keys}</kbd>
+              </td>
+              <td>{description}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className='actions'>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </dialog>
+  );
+}
+
+function ImportReport({ report }) {
+  const { files } = report;
+  const imported = files.reduce((sum, f) => sum + (f.imported ?? 0), 0);
+  const skipped = files.reduce((sum, f) => sum + (f.skipped?.length ?? 0), 0);
+  const malformed = files.reduce((sum, f) => sum + (f.malformed?.length ?? 0), 0);
+  const failed = files.filter(f => f.imported == null).length;
+  const problems = skipped + malformed + files.filter(f => f.error).length + (report.error ? 1 : 0);
+
+  const download = () => {
+    const { fresh, ...data } = report;
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `import-report-${new Date(report.time).toISOString().slice(0, 10)}.json`);
+  };
+
+  return (
+    <details className='import-report' open={report.fresh && problems > 0}>
+      <summary>
+        {report.error ? (
+          <span className='error'>
+            {report.fresh ? 'The import' : `The last import (${new Date(report.time).toLocaleString()})`} failed:{' '}
+            {report.error}
+          </span>
+        ) : (
+          <>
+            {report.fresh ? 'Imported' : `Last import (${new Date(report.time).toLocaleString()}):`} {imported}{' '}
+            conversations into "{report.library}": {report.added} new, {report.updated} updated, {report.deleted}{' '}
+            deleted upstream ({report.merge ? 'kept' : 'removed'}) — {report.total} conversations in total.
+          </>
+        )}
+        {problems > 0 && (
+          <span className='problems'>
+            {' '}
+            {[
+              skipped && `${skipped} skipped`,
+              malformed && `${malformed} malformed ${malformed === 1 ? 'message' : 'messages'} left out`,
+              failed && `${failed} ${failed === 1 ? 'file' : 'files'} not imported`,
+            ]
+              .filter(Boolean)
+              .join(', ')}
+            .
+          </span>
+        )}
+      </summary>
+      {files.map((f, i) => (
+        <section key={i}>
+          <h4>
+            {f.name}
+            {f.source && ` (${f.source})`}
+          </h4>
+          {f.error && <p className='error'>{f.error}</p>}
+          {f.imported != null && (
+            <p>
+              {f.imported} conversations read, {f.skipped.length} skipped, {f.malformed.length} malformed messages left
+              out.
+            </p>
+          )}
+          {!!f.skipped?.length && (
+            <ReportList
+              title='Skipped conversations'
+              items={f.skipped.map(c => `${c.title ?? c.id ?? `#${c.index + 1}`}: ${c.reason}`)}
+            />
+          )}
+          {!!f.malformed?.length && (
+            <ReportList
+              title='Malformed messages'
+              items={f.malformed.map(m => `${m.title ?? m.conversation}, message ${m.message}: ${m.reason}`)}
+            />
+          )}
+          {!!f.unknownContentTypes?.length && (
+            <p>
+              Unknown content types (their text may be missing):{' '}
+              {f.unknownContentTypes.map(([type, count]) => `${type} (${count})`).join(', ')}
+            </p>
+          )}
+        </section>
+      ))}
+      <button onClick={download}>Download report</button>
+    </details>
+  );
+}
+
+function ReportList({ title, items }) {
+  return (
+    <>
+      <h5>{title}</h5>
+      <ul>
+        {items.slice(0, IMPORT_REPORT_LIMIT).map((item, i) => (
+          <li key={i}>{item}</li>
+        ))}
+        {items.length > IMPORT_REPORT_LIMIT && (
+          <li>..and {items.length - IMPORT_REPORT_LIMIT} more (see the download)</li>
+        )}
+      </ul>
+    </>
+  );
+}
+
+function ImportProgress({ progress, onCancel }) {
+  const { phase, kind, done, total, file, files } = progress;
+  const label = {
+    reading: 'Reading the file..',
+    unzipping: `Unzipping ${progress.name ?? 'conversations.json'}..`,
+    parsing: `Parsing ${progress.name ?? 'conversations.json'}..`,
+    converting: 'Conversations parsed',
+    indexing: kind === 'messages' ? 'Messages indexed' : 'Conversations indexed',
+  }[phase];
+  // Percentages (unzipping) don't read well as "n / 100".
+  const count = total && phase !== 'unzipping' ? `${done.toLocaleString()} / ${total.toLocaleString()}` : '';
+  return (
+    <div className='import-progress'>
+      <label>
+        {files > 1 && `File ${file} of ${files}: `}
+        {label} {count}
+        {/* No value = indeterminate (e.g. while JSON.parse runs). */}
+        <progress max={total || undefined} value={total ? done : undefined} />
+      </label>
+      <button onClick={onCancel}>Cancel</button>
+    </div>
+  );
+}
+
+function Snippet({ message, terms, mode }) {
+  const pattern = getMatchPattern(terms, mode);
+  const text = getSnippetText(String(message?.text ?? ''), pattern);
+  if (!pattern) return <span className='snippet'>{text}</span>;
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    parts.push(text.slice(last, match.index), <b key={match.index}>{match[0]}</b>);
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return (
+    <span className='snippet'>
+      <span className='author'>{message?.author}:</span> {parts}
+    </span>
+  );
+}
+
+function ConversationView({
+  conversation,
+  highlight,
+  highlightMode,
+  messageIndex,
+  branches,
+  miniSearch,
+  conversations,
+  onOpenConversation,
+  onChangeBranches,
+  onClose,
+}) {
+  const ref = useRef(null);
+  const [hits, setHits] = useState([]);
+  const [hitIndex, setHitIndex] = useState(-1);
+  const [showSimilar, setShowSimilar] = useState(false);
+  const similar = useMemo(
+    () => (showSimilar && miniSearch && conversation ? findSimilar(miniSearch, conversation, { conversations }) : []),
+    [showSimilar, miniSearch, conversation, conversations],
+  );
+
+  const pattern = useMemo(() => getMatchPattern(highlight, highlightMode), [highlight, highlightMode]);
+  const rehypePlugins = useMemo(() => (pattern ? [[rehypeHighlight, { pattern }]] : []), [pattern]);
+
+  useEffect(() => {
+    // Collect the rendered <mark>s once Markdown has been committed to the DOM.
+    const marks = Array.from(ref.current?.querySelectorAll('mark.hit') ?? []);
+    setHits(marks);
+    // When opened from a snippet, start at the first hit inside that message.
+    const target = messageIndex == null ? null : ref.current?.querySelector(`[data-index="${messageIndex}"]`);
+    const first = target ? marks.findIndex(mark => target.contains(mark)) : 0;
+    if (target && first === -1) target.scrollIntoView({ block: 'start' });
+    setHitIndex(marks.length ? first : -1);
+  }, [conversation, pattern, messageIndex, branches]);
+
+  useEffect(() => {
+    hits.forEach((mark, i) => mark.classList.toggle('current', i === hitIndex));
+    hits[hitIndex]?.scrollIntoView({ block: 'center' });
+  }, [hits, hitIndex]);
+
+  if (!conversation) return null;
+
+  const step = delta => {
+    if (!hits.length) return;
+    setHitIndex(i => (Math.max(i, 0) + delta + hits.length) % hits.length);
+  };
+
+  return (
+    <div className='conversation-view' ref={ref}>
+      <header>
+        <button className='close' title='Close' onClick={onClose}>
+          ✕
+        </button>
+        <h2>
+          {conversation.title}
+          {conversation.deletedUpstream && (
+            <>
+              {' '}
+              <span className='badge deleted-upstream'>deleted upstream</span>
+            </>
+          )}
+        </h2>
+        <button
+          className='similar'
+          onClick={() => setShowSimilar(!showSimilar)}
+          disabled={!miniSearch}
+          title='Conversations about the same things'>
+          More like this
+        </button>
+        <label className='branches'>
+          <input
+            type='checkbox'
+            checked={branches === 'all'}
+            onChange={e => onChangeBranches(e.target.checked ? 'all' : 'active')}
+          />{' '}
+          All branches
+        </label>
+        <nav className='hits'>
+          <button onClick={() => step(-1)} disabled={!hits.length} title='Previous match'>
+            ◀
           </button>
+          <span>{hits.length ? `${hitIndex + 1} of ${hits.length}` : 'No matches'}</span>
+          <button onClick={() => step(1)} disabled={!hits.length} title='Next match'>
+            ▶
+          </button>
+        </nav>
+      </header>
+      {showSimilar && (
+        <section className='similar'>
+          <h3>More like this</h3>
+          {similar.length ? (
+            <ol>
+              {similar.map(r => (
+                <li key={r.id}>
+                  <a
+                    href={getConversationHref(conversations.find(c => c.id === r.id) ?? r)}
+                    onClick={e => {
+                      e.preventDefault();
+                      setShowSimilar(false);
+                      onOpenConversation({ id: r.id, highlight: [] });
+                    }}>
+                    {r.title}
+                  </a>{' '}
+                  <span className='score'>({r.score.toFixed(1)})</span>
+                </li>
+              ))}
+            </ol>
+          ) : (
+            <p>Nothing similar found.</p>
+          )}
+        </section>
+      )}
+      {(conversation.messages ?? []).map(
+        (m, i) =>
+          (m.text || m.images || m.attachments) &&
+          // Always show the message a snippet pointed at, even if it's on an alternate branch.
+          (branches === 'all' || m.active !== false || i === messageIndex) && (
+            <article
+              key={i}
+              data-index={i}
+              className={['message', m.author, m.active === false && 'alternate'].filter(Boolean).join(' ')}>
+              <h3 className='author'>
+                {m.author}
+                {formatBranchLabel(m, ' · ')}
+                {m.time && <time> · {new Date(m.time * 1000).toLocaleString()}</time>}
+              </h3>
+              {m.text && <Markdown rehypePlugins={rehypePlugins}>{getMessageMarkdown(m)}</Markdown>}
+              <MessageAssets message={m} libraryId={getLibraryId(conversation)} />
+            </article>
+          ),
+      )}
+    </div>
+  );
+}
+
+function MessageAssets({ message, libraryId }) {
+  if (!message.images && !message.attachments) return null;
+  return (
+    <div className='assets'>
+      {message.images?.map((image, i) => (
+        <AssetImage key={i} image={image} libraryId={libraryId} />
+      ))}
+      {message.attachments?.map((attachment, i) => (
+        <AssetLink key={i} attachment={attachment} libraryId={libraryId} />
+      ))}
+    </div>
+  );
+}
+
+function AssetImage({ image, libraryId }) {
+  const url = useAssetUrl(libraryId, image.pointer);
+  if (url === null) return <span className='asset missing'>Image not found in the export</span>;
+  return (
+    <img
+      className='asset'
+      src={url}
+      alt={image.prompt ?? ''}
+      title={image.prompt}
+      width={image.width}
+      height={image.height}
+    />
+  );
+}
+
+function AssetLink({ attachment, libraryId }) {
+  const url = useAssetUrl(libraryId, attachment.id);
+  const size = attachment.size ? ` (${(attachment.size / 1024).toFixed(0)} KB)` : '';
+  if (!url) {
+    return (
+      <span className='asset attachment missing' title={url === null ? 'Not found in the export' : 'Loading..'}>
+        📎 {attachment.name}
+        {size}
+      </span>
+    );
+  }
+  return (
+    <a className='asset attachment' href={url} download={attachment.name}>
+      📎 {attachment.name}
+      {size}
+    </a>
+  );
+}
+
+function Gallery({ conversations, onOpenConversation, onClose }) {
+  const [limit, setLimit] = useState(GALLERY_PAGE_SIZE);
+  const images = useMemo(
+    () =>
+      conversations
+        .flatMap(c =>
+          (c.messages ?? []).flatMap((m, index) => (m.images ?? []).map(image => ({ c, index, image, time: m.time ?? c.time }))),
+        )
+        .sort((a, b) => Number(b.time ?? 0) - Number(a.time ?? 0)),
+    [conversations],
+  );
+
+  return (
+    <div className='gallery'>
+      <header>
+        <button className='close' title='Close' onClick={onClose}>
+          ✕
+        </button>
+        <h2>
+          {images.length} image{images.length === 1 ? '' : 's'}
+        </h2>
+      </header>
+      <div className='images'>
+        {images.slice(0, limit).map(({ c, index, image }) => (
+          <figure key={`${c.id}:${index}:${image.pointer}`}>
+            <AssetImage image={image} libraryId={getLibraryId(c)} />
+            <figcaption>
+              <a
+                href={getConversationHref(c)}
+                onClick={e => {
+                  e.preventDefault();
+                  onOpenConversation({ id: c.id, highlight: [], messageIndex: index });
+                }}>
+                {c.title}
+              </a>
+            </figcaption>
+          </figure>
+        ))}
+      </div>
+      {images.length > limit && <button onClick={() => setLimit(limit + GALLERY_PAGE_SIZE)}>Show more</button>}
+    </div>
+  );
+}
+
+function DuplicatesView({
+  conversations,
+  selectedConversations,
+  toggleSelectConversation,
+  setSelectedConversations,
+  onOpenConversation,
+  onClose,
+}) {
+  const groups = useMemo(() => findDuplicates(conversations), [conversations]);
+  const duplicates = groups.flatMap(group => group.slice(1));
+
+  return (
+    <div className='duplicates'>
+      <header>
+        <button className='close' title='Close' onClick={onClose}>
+          ✕
+        </button>
+        <h2>
+          {groups.length} group{groups.length === 1 ? '' : 's'} of near-identical conversations
+        </h2>
+        <button
+          disabled={!duplicates.length}
+          title='Select every conversation but the one kept from each group'
+          onClick={() => setSelectedConversations(new Set([...selectedConversations, ...duplicates.map(c => c.id)]))}>
+          Select duplicates
+        </button>
+      </header>
+      <p>Conversations starting with the same prompt (e.g. retries). The first of each group is the one exports keep.</p>
+      {groups.map(group => (
+        <section key={group[0].id}>
+          <h3>“{getSnippetText(getFirstPrompt(group[0]), null)}”</h3>
+          <ul>
+            {group.map((c, i) => (
+              <li key={c.id}>
+                <input
+                  type='checkbox'
+                  checked={selectedConversations.has(c.id)}
+                  onChange={() => toggleSelectConversation(c.id)}
+                />{' '}
+                <a
+                  href={getConversationHref(c)}
+                  onClick={e => {
+                    e.preventDefault();
+                    onOpenConversation({ id: c.id, highlight: [] });
+                  }}>
+                  {c.title}
+                </a>{' '}
+                <span>
+                  ({new Date(c.updated * 1000).toLocaleString()}, {c.messages?.length ?? 0} messages)
+                </span>
+                {i === 0 && (
+                  <>
+                    {' '}
+                    <span className='badge'>kept</span>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+function StatsView({ conversations, miniSearch, onFilter, onClose }) {
+  const stats = useMemo(() => getStats(conversations), [conversations]);
+  const [granularity, setGranularity] = useState('month');
+  const [metric, setMetric] = useState('conversations');
+  // Period for the top terms: a year (`YYYY`) or month (`YYYY-MM`).
+  const [period, setPeriod] = useState(() => String(stats.years.at(-1) ?? ''));
+  const topTerms = useMemo(
+    () => (miniSearch && period ? getTopTerms(miniSearch, conversations, getPeriodRange(period)) : []),
+    [miniSearch, conversations, period],
+  );
+
+  const buckets = stats.activity[granularity];
+  const max = Math.max(1, ...Array.from(buckets.values(), bucket => bucket[metric]));
+  const columns = granularity === 'month' ? 12 : 53;
+  const getKey = (year, i) => (granularity === 'month' ? `${year}-${String(i + 1).padStart(2, '0')}` : `${year}:${i}`);
+  const months = Array.from(stats.activity.month.keys()).sort().reverse();
+  const { user, assistant } = stats.volume;
+
+  return (
+    <div className='stats'>
+      <header>
+        <button className='close' title='Close' onClick={onClose}>
+          ✕
+        </button>
+        <h2>Statistics for {stats.conversations.toLocaleString()} conversations</h2>
+      </header>
+      <section>
+        <h3>
+          Activity per{' '}
+          <select value={granularity} onChange={e => setGranularity(e.target.value)}>
+            <option value='month'>month</option>
+            <option value='week'>week</option>
+          </select>{' '}
+          <select value={metric} onChange={e => setMetric(e.target.value)}>
+            <option value='conversations'>conversations started</option>
+            <option value='messages'>messages</option>
+          </select>
+        </h3>
+        <table className={`heatmap ${granularity}`}>
+          <tbody>
+            {stats.years.map(year => (
+              <tr key={year}>
+                <th onClick={() => onFilter({ filters: getPeriodDays(String(year)) })}>{year}</th>
+                {Array.from({ length: columns }, (_, i) => {
+                  const key = getKey(year, i);
+                  const value = buckets.get(key)?.[metric] ?? 0;
+                  return (
+                    <td
+                      key={key}
+                      title={`${key}: ${value.toLocaleString()} ${metric}`}
+                      style={value ? { background: `rgba(33, 110, 57, ${0.15 + (0.85 * value) / max})` } : undefined}
+                      onClick={() => onFilter({ filters: getPeriodDays(key) })}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      <section>
+        <h3>Models</h3>
+        <BarChart
+          items={stats.models.map(([model, count]) => ({
+            key: model,
+            label: model,
+            value: count,
+            onClick: () => onFilter({ filters: { models: [model] } }),
+          }))}
+        />
+      </section>
+      <section>
+        <h3>
+          Conversation length: {stats.lengths.average.toFixed(1)} messages on average (median {stats.lengths.median})
+        </h3>
+        <BarChart
+          items={stats.lengths.buckets.map(([min, max, count]) => ({
+            key: min,
+            label: max === Infinity ? `${min}+` : `${min}–${max}`,
+            value: count,
+            onClick: () =>
+              onFilter({ filters: { minMessages: String(min), maxMessages: max === Infinity ? '' : String(max) } }),
+          }))}
+        />
+      </section>
+      <section>
+        <h3>You vs the assistant (characters)</h3>
+        <BarChart
+          items={[
+            ['user', 'You', user],
+            ['assistant', 'Assistant', assistant],
+          ].map(([author, label, volume]) => ({
+            key: author,
+            label,
+            value: volume.characters,
+            title: `${volume.messages.toLocaleString()} messages, ~${volume.tokens.toLocaleString()} tokens`,
+            onClick: () => onFilter({ input: `author:${author}` }),
+          }))}
+        />
+      </section>
+      {!!stats.gizmos.length && (
+        <section>
+          <h3>Custom GPTs / projects</h3>
+          <BarChart
+            items={stats.gizmos.slice(0, 10).map(([gizmo, count]) => ({
+              key: gizmo,
+              label: getGizmoLabel(gizmo),
+              value: count,
+              onClick: () => onFilter({ filters: { gizmos: [gizmo] } }),
+            }))}
+          />
+        </section>
+      )}
+      <section>
+        <h3>
+          Top terms in{' '}
+          <select value={period} onChange={e => setPeriod(e.target.value)}>
+            {stats.years
+              .slice()
+              .reverse()
+              .map(year => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            {months.map(month => (
+              <option key={month} value={month}>
+                {month}
+              </option>
+            ))}
+          </select>
+        </h3>
+        {miniSearch ? (
+          <BarChart
+            items={topTerms.map(([term, count]) => ({
+              key: term,
+              label: term,
+              value: count,
+              onClick: () => onFilter({ input: term, filters: getPeriodDays(period) }),
+            }))}
+          />
+        ) : (
+          <p>Available once the search index is ready.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+function BarChart({ items }) {
+  const max = Math.max(1, ...items.map(item => item.value));
+  return (
+    <ul className='bar-chart'>
+      {items.map(item => (
+        <li key={item.key} title={item.title} onClick={item.onClick}>
+          <span className='label'>{item.label}</span>
+          <span className='bar'>
+            <span style={{ width: `${(100 * item.value) / max}%` }} />
+          </span>
+          <span className='value'>{item.value.toLocaleString()}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function LockScreen({ onUnlock }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async e => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      if (!(err instanceof WrongPassphraseError)) console.warn(logPrefix, 'unlock: failed', err);
+      setError(err instanceof WrongPassphraseError ? err.message : `Couldn't unlock: ${err?.message ?? err}`);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className='app lock-screen'>
+      <h1>ChatGPT Search</h1>
+      <form onSubmit={submit}>
+        <p>Your archive is encrypted. Enter your passphrase to unlock it.</p>
+        <input
+          type='password'
+          autoFocus
+          aria-label='Passphrase'
+          value={passphrase}
+          onChange={e => setPassphrase(e.target.value)}
+        />{' '}
+        <button disabled={busy || !passphrase}>{busy ? 'Unlocking..' : 'Unlock'}</button>
+        {error && <p className='error'>{error}</p>}
+      </form>
+      <p className='forgot'>
+        Forgot it? Without the passphrase the data can't be read, but you can{' '}
+        <button
+          className='danger'
+          onClick={() => confirm('Delete everything stored in this browser, to import your data again?') && wipeStorage()}>
+          wipe everything
+        </button>{' '}
+        and import again.
+      </p>
+    </div>
+  );
+}
+
+function EncryptionSettings({ vault, settings, setSettings, onEnable, onChangePassphrase, onDisable, onLock }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [busy, setBusy] = useState(false);
+  // `{ text, error? }` about the last action.
+  const [message, setMessage] = useState(null);
+  const mismatch = newPassphrase !== confirmation;
+
+  const run = async (action, done) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await action();
+      setPassphrase('');
+      setNewPassphrase('');
+      setConfirmation('');
+      setMessage({ text: done });
+    } catch (err) {
+      if (!(err instanceof WrongPassphraseError)) console.warn(logPrefix, 'encryption: failed', err);
+      setMessage({ text: err?.message ?? String(err), error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const newPassphraseInputs = (
+    <>
+      <input
+        type='password'
+        placeholder='New passphrase'
+        aria-label='New passphrase'
+        value={newPassphrase}
+        onChange={e => setNewPassphrase(e.target.value)}
+      />{' '}
+      <input
+        type='password'
+        placeholder='Repeat it'
+        aria-label='Repeat the new passphrase'
+        value={confirmation}
+        onChange={e => setConfirmation(e.target.value)}
+      />{' '}
+    </>
+  );
+
+  return (
+    <fieldset className='encryption'>
+      <legend>Passphrase</legend>
+      {!vault ? (
+        <>
+          <p>
+            Encrypt everything stored in this browser (conversations, ZIPs, search indexes, tags) with a passphrase.
+            Forget it, and the data can't be recovered.
+          </p>
+          <div>
+            {newPassphraseInputs}
+            <button
+              disabled={busy || !newPassphrase || mismatch}
+              onClick={() => run(() => onEnable(newPassphrase), 'Stored data is now encrypted.')}>
+              {busy ? 'Encrypting..' : 'Encrypt'}
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          <p>
+            Stored data is encrypted. <button onClick={onLock}>Lock now</button>
+          </p>
+          <label>
+            Lock after{' '}
+            <input
+              type='number'
+              min='0'
+              value={settings.autoLockMinutes}
+              onChange={e => setSettings(prev => ({ ...prev, autoLockMinutes: Math.max(0, Number(e.target.value)) }))}
+            />{' '}
+            minutes without activity (0: never)
+          </label>
+          <div>
+            <input
+              type='password'
+              placeholder='Current passphrase'
+              aria-label='Current passphrase'
+              value={passphrase}
+              onChange={e => setPassphrase(e.target.value)}
+            />{' '}
+            {newPassphraseInputs}
+            <button
+              disabled={busy || !passphrase || !newPassphrase || mismatch}
+              onClick={() => run(() => onChangePassphrase(passphrase, newPassphrase), 'Passphrase changed.')}>
+              Change passphrase
+            </button>{' '}
+            <button
+              disabled={busy || !passphrase}
+              onClick={() =>
+                confirm('Decrypt everything and store it in the clear again?') &&
+                run(() => onDisable(passphrase), 'Stored data is no longer encrypted.')
+              }>
+              Turn off
+            </button>
+          </div>
+        </>
+      )}
+      {newPassphrase && mismatch && <p className='error'>The passphrases don't match.</p>}
+      {message && <p className={message.error ? 'error' : undefined}>{message.text}</p>}
+    </fieldset>
+  );
+}
+
+function StorageView({ libraries, onClose }) {
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    refresh();
+  }, [libraries]);
+
+  const stale = report?.entries.filter(entry => entry.stale) ?? [];
+  const run = async action => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.warn(logPrefix, 'storage: cleanup failed', err);
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  };
+
+  return (
+    <div className='storage'>
+      <header>
+        <button className='close' title='Close' onClick={onClose}>
+          ✕
+        </button>
+        <h2>Storage</h2>
+      </header>
+      {!report ? (
+        <p>Measuring..</p>
+      ) : (
+        <>
+          {report.quota ? (
+            <p className={report.usage / report.quota > STORAGE_WARNING_RATIO ? 'storage-warning' : undefined}>
+              Using {formatBytes(report.usage)} of the {formatBytes(report.quota)} the browser allows this site (
+              {formatPercent(report.usage / report.quota)}).
+            </p>
+          ) : (
+            <p>This browser doesn't report storage usage.</p>
+          )}
+          <table>
+            <tbody>
+              {report.entries.map(entry => (
+                <tr key={entry.key} className={entry.stale ? 'stale' : undefined}>
+                  <td>{entry.label}</td>
+                  <td className='size'>{formatBytes(entry.size)}</td>
+                  <td>
+                    {entry.kind === 'zip' && (
+                      <button
+                        disabled={busy}
+                        title='Keeps the conversations; images and attachments stop showing until you upload the ZIP again'
+                        onClick={() =>
+                          confirm(`Drop the ${entry.label}? Images and attachments won't show until you upload it again.`) &&
+                          run(() => dropZip(entry))
+                        }>
+                        Drop
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p>
+            <button disabled={busy || !stale.length} onClick={() => run(() => Promise.all(stale.map(e => cacheDelete(e.key))))}>
+              Prune {stale.length} stale index {stale.length === 1 ? 'entry' : 'entries'} (
+              {formatBytes(stale.reduce((sum, e) => sum + e.size, 0))})
+            </button>{' '}
+            <button
+              className='danger'
+              disabled={busy}
+              onClick={() =>
+                confirm('Delete all conversations, libraries, indexes, ZIPs, tags and settings from this browser?') &&
+                run(wipeStorage)
+              }>
+              Wipe everything
+            </button>
+          </p>
         </>
       )}
-      <label className='input file'>
-        Upload your ChatGPT data
-        <input name='file' type='file' onChange={onFile} accept='.zip' />
-      </label>
-      {!conversations.length && <Markdown>{ReadMe}</Markdown>}
     </div>
   );
 
-  async function onType(e) {
-    const text = e.target.value;
-    setInput(text);
+  async function refresh() {
+    setReport(await getStorageReport(libraries));
   }
 
-  async function onFile(e) {
-    try {
-      setLoading(true);
-      const file = e.target.files[0];
-      if (!file) return;
-
-      console.debug(logPrefix, 'file: selected', {
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        lastModified: file.lastModified,
-      });
-
-      const conversations = await processFile(file);
-      console.debug(logPrefix, 'file: processed', {
-        conversationsCount: conversations?.length ?? 0,
-      });
-      setConversations(conversations);
-      await cachePutFile(file, 'file');
-      await cachePutJson(conversations, 'json');
-      console.debug(logPrefix, 'file: cached conversations + source zip');
-    } finally {
-      setLoading(false);
-    }
+  async function dropZip(entry) {
+    await cacheDelete(entry.key);
+    forgetAssetArchive(entry.libraryId);
   }
 }
 
-function SearchResults({
-  input,
-  conversations,
-  fuzzy,
-  miniSearch,
-  toggleSelectConversation,
-  selectedConversations,
-  setSelectedConversations,
-  settings,
-}) {
+function useIdleTimeout(delay, onIdle) {
+  // Calls `onIdle` after `delay` ms without any input (0: never).
   useEffect(() => {
-    if (!settings.keepFilteredSelected) {
-      setSelectedConversations(prevSelected => {
-        const updatedSelected = new Set(
-          Array.from(prevSelected).filter(id => conversations.some(c => c.id === id)),
-        );
-        return updatedSelected;
-      });
-    }
-  }, [settings.keepFilteredSelected, conversations]);
+    if (!delay) return;
+    const events = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+    let timer = setTimeout(onIdle, delay);
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(onIdle, delay);
+    };
+    for (const event of events) window.addEventListener(event, reset, { passive: true });
+    return () => {
+      clearTimeout(timer);
+      for (const event of events) window.removeEventListener(event, reset);
+    };
+  }, [delay]);
+}
 
-  let showing = [];
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+}
 
-  if (input.trim()) {
-    if (fuzzy) {
-      if (miniSearch) {
-        const options = {}; // Default options for fuzzy search
-        showing = miniSearch.search(input.trim(), options) ?? [];
-      }
-    } else {
-      // Exact match search (case-insensitive)
-      const lowerInput = input.toLowerCase();
-      showing = conversations.filter(
-        c => c.text.toLowerCase().includes(lowerInput) || c.title.toLowerCase().includes(lowerInput),
-      );
+/** Object URL for an asset in the library's export ZIP: `undefined` while loading, `null` if it's not there. */
+function useAssetUrl(libraryId, pointer) {
+  const [url, setUrl] = useState(undefined);
+  useEffect(() => {
+    // Claude and Gemini exports only name their attachments; there's nothing to look up.
+    if (!pointer) {
+      setUrl(null);
+      return;
     }
+    let cancelled = false;
+    setUrl(undefined);
+    getAssetArchive(libraryId)
+      .then(archive => archive?.getUrl(pointer) ?? null)
+      .catch(err => {
+        console.warn(logPrefix, 'assets: failed to resolve', pointer, err);
+        return null;
+      })
+      .then(next => !cancelled && setUrl(next));
+    return () => {
+      cancelled = true;
+    };
+  }, [libraryId, pointer]);
+  return url;
+}
 
-    // Sort results (relevance / updated / created)
-    const sortBy = settings?.sortBy || 'updated';
+/* Helpers */
 
-    if (sortBy === 'relevance') {
-      if (fuzzy) {
-        // MiniSearch returns results in relevance order; keep it stable and tie-break by updated.
-        showing.sort((a, b) => {
-          const scoreA = Number(a?.score ?? 0);
-          const scoreB = Number(b?.score ?? 0);
-          if (scoreB !== scoreA) return scoreB - scoreA;
-          return getUpdated(b) - getUpdated(a);
-        });
-      } else {
-        // Exact match results aren't ranked; compute a lightweight relevance score.
-        const q = input.trim().toLowerCase();
-        showing.sort((a, b) => {
-          const scoreA = getExactMatchScore(a, q);
-          const scoreB = getExactMatchScore(b, q);
-          if (scoreB !== scoreA) return scoreB - scoreA;
-          return getUpdated(b) - getUpdated(a);
-        });
-      }
-    } else if (sortBy === 'created') {
-      showing.sort((a, b) => {
-        const diff = getCreated(b) - getCreated(a);
-        if (diff) return diff;
-        // Tie-break: if fuzzy search has a score, keep more relevant first.
-        const scoreA = Number(a?.score ?? 0);
-        const scoreB = Number(b?.score ?? 0);
-        return scoreB - scoreA;
-      });
-    } else {
-      // Default: updated date (newest first)
-      showing.sort((a, b) => {
-        const diff = getUpdated(b) - getUpdated(a);
-        if (diff) return diff;
-        const scoreA = Number(a?.score ?? 0);
-        const scoreB = Number(b?.score ?? 0);
-        return scoreB - scoreA;
+function rehypeHighlight({ pattern }) {
+  // Minimal rehype plugin: wrap every match of `pattern` in text nodes with <mark class="hit">.
+  return tree => {
+    walk(tree);
+  };
+
+  function walk(node) {
+    if (!node.children) return;
+    node.children = node.children.flatMap(child => {
+      if (child.type === 'text') return splitText(child.value);
+      walk(child);
+      return [child];
+    });
+  }
+
+  function splitText(value) {
+    const nodes = [];
+    let last = 0;
+    for (const match of value.matchAll(pattern)) {
+      if (!match[0]) continue;
+      if (match.index > last) nodes.push({ type: 'text', value: value.slice(last, match.index) });
+      nodes.push({
+        type: 'element',
+        tagName: 'mark',
+        properties: { className: ['hit'] },
+        children: [{ type: 'text', value: match[0] }],
       });
+      last = match.index + match[0].length;
     }
+    if (!nodes.length) return [{ type: 'text', value }];
+    if (last < value.length) nodes.push({ type: 'text', value: value.slice(last) });
+    return nodes;
   }
+}
 
-  return (
-    <>
-      <p className='search-results'>
-        Showing {showing.length} of {conversations?.length ?? 0} conversations
-      </p>
-      <ol className='search-results'>
-        {showing.map(c => (
-          <li key={c.id}>{map(c)}</li>
-        ))}
-      </ol>
-    </>
-  );
-
-  function map(c) {
-    const date = new Date(c.updated * 1000).toLocaleString();
-    const con = conversations.find(con => con.id === c.id);
-    return (
-      <>
-        <input
-          type='checkbox'
-          checked={selectedConversations.has(c.id)}
-          onChange={() => toggleSelectConversation(c.id)}
-        />
-        <a href={`https://chat.openai.com/c/${c.id}`}>{c.title}</a> <span>({date})</span>
-        <span> </span>
-        <button
-          className='download'
-          title='Download conversation as markdown'
-          onClick={() => downloadMarkdown(con.text, `${c.title}.md`)}>
-          💾
-        </button>
-      </>
-    );
-  }
+async function cacheGetFile(key = 'file', cacheName = CACHE_NAME) {
+  // console.time(`${logPrefix} cacheGetFile`);
+  const blob = await cacheGetBlob(key, cacheName);
+  // console.timeEnd(`${logPrefix} cacheGetFile`);
+  return blob;
+}
 
-  function getUpdated(c) {
-    return Number(c?.updated ?? 0);
-  }
+async function cacheGetBlob(key, cacheName = CACHE_NAME) {
+  const cache = await caches.open(cacheName);
+  const response = await cache.match(normalizeCacheKey(key));
+  if (!response) return undefined;
+  const blob = await response.blob();
+  if (!response.headers.has(ENCRYPTED_HEADER)) return blob;
+  if (!encryptionKey) throw new Error('Storage is locked');
+  return decryptBlob(encryptionKey, blob, response.headers.get(ENCRYPTED_HEADER));
+}
 
-  function getCreated(c) {
-    return Number(c?.time ?? 0);
-  }
+async function createCacheResponse(body, headers = {}, key = encryptionKey) {
+  // Encrypted in passphrase mode; `cacheGetBlob` tells the two apart by ENCRYPTED_HEADER.
+  if (!key) return new Response(body, { headers });
+  const blob = body instanceof Blob ? body : new Blob([body]);
+  const type = headers['content-type'] ?? blob.type;
+  return new Response(await encryptBlob(key, blob), { headers: { [ENCRYPTED_HEADER]: type } });
+}
 
-  function getExactMatchScore(conversation, q) {
-    if (!q) return 0;
-    const title = String(conversation?.title ?? '').toLowerCase();
-    const text = String(conversation?.text ?? '').toLowerCase();
-    return countOccurrences(title, q) * 5 + countOccurrences(text, q);
+async function recryptStorage(key) {
+  // Rewrites every entry but the vault with `key` (or in the clear, for `null`), one at a time, then writes
+  // with `key` from then on. Writes under way finish first, and new ones wait: either could otherwise
+  // leave an entry behind in the old key.
+  recryption = (async () => {
+    await Promise.allSettled(pendingWrites);
+    const cache = await caches.open(CACHE_NAME);
+    const vaultUrl = new URL(VAULT_KEY, window.location.href).href;
+    for (const request of await cache.keys()) {
+      if (request.url === vaultUrl) continue;
+      const blob = await cacheGetBlob(request);
+      if (blob) await cache.put(request, await createCacheResponse(blob, {}, key));
+    }
+    encryptionKey = key;
+  })();
+  try {
+    await recryption;
+  } finally {
+    recryption = null;
   }
+}
 
-  function countOccurrences(haystack, needle) {
-    if (!haystack || !needle) return 0;
-    let count = 0;
-    let i = 0;
-    while (true) {
-      i = haystack.indexOf(needle, i);
-      if (i === -1) break;
-      count++;
-      i += needle.length;
-    }
-    return count;
+async function cachePutBody(body, key, headers = {}, cacheName = CACHE_NAME) {
+  while (recryption) await recryption.catch(() => {});
+  const write = (async () => {
+    const cache = await caches.open(cacheName);
+    await cache.put(normalizeCacheKey(key), await createCacheResponse(body, headers));
+  })();
+  pendingWrites.add(write);
+  try {
+    await write;
+  } finally {
+    pendingWrites.delete(write);
   }
 }
 
-/* Helpers */
+async function cacheGetVault() {
+  // Stored in the clear: it's needed to unlock everything else.
+  const cache = await caches.open(CACHE_NAME);
+  return (await cache.match(normalizeCacheKey(VAULT_KEY)))?.json();
+}
 
-async function cacheGetFile(key = 'file', cacheName = CACHE_NAME) {
-  // console.time(`${logPrefix} cacheGetFile`);
-  const cache = await caches.open(cacheName);
-  const response = await cache.match(normalizeCacheKey(key));
-  const blob = await response?.blob();
-  // console.timeEnd(`${logPrefix} cacheGetFile`);
-  return blob;
+async function cachePutVault(vault) {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(normalizeCacheKey(VAULT_KEY), new Response(JSON.stringify(vault)));
 }
 
 async function ensureStorageUpToDate() {
@@ -460,8 +2955,8 @@ async function ensureStorageUpToDate() {
 }
 
 function cleanupLegacyLocalStorage() {
-  // We don't rely on localStorage anymore, but older versions might have left
-  // behind bulky/invalid entries. Keep the cleanup conservative.
+  // Older versions might have left behind bulky/invalid entries. Keep the cleanup conservative.
+  // (Our own persisted state is versioned too, so it's safe to drop on a schema change.)
   if (typeof localStorage === 'undefined') return;
 
   const shouldRemove = key => {
@@ -551,20 +3046,24 @@ async function copyCacheEntry({ fromCache, toCache, key }) {
   await toCache.put(request, response.clone());
 }
 
+async function cacheDelete(key, cacheName = CACHE_NAME) {
+  console.debug(logPrefix, 'cacheDelete', { key, cacheName });
+  const cache = await caches.open(cacheName);
+  await cache.delete(normalizeCacheKey(key));
+}
+
 async function cacheGetJson(key = 'json', cacheName = CACHE_NAME) {
   // console.time(`${logPrefix} cacheGetJson`);
-  const cache = await caches.open(cacheName);
-  const response = await cache.match(normalizeCacheKey(key));
-  const json = await response?.json();
+  const blob = await cacheGetBlob(key, cacheName);
+  const json = blob && JSON.parse(await blob.text());
   // console.timeEnd(`${logPrefix} cacheGetJson`);
   return json;
 }
 
 async function cacheGetText(key = 'text', cacheName = CACHE_NAME) {
   // console.time(`${logPrefix} cacheGetText`);
-  const cache = await caches.open(cacheName);
-  const response = await cache.match(normalizeCacheKey(key));
-  const text = await response?.text();
+  const blob = await cacheGetBlob(key, cacheName);
+  const text = await blob?.text();
   // console.timeEnd(`${logPrefix} cacheGetText`);
   return text;
 }
@@ -581,16 +3080,12 @@ async function cachePutJson(json, key = 'json', cacheName = CACHE_NAME) {
   } else {
     console.debug(logPrefix, 'cachePutJson', { key, cacheName });
   }
-  const cache = await caches.open(cacheName);
-  const response = new Response(JSON.stringify(json));
-  await cache.put(normalizeCacheKey(key), response);
+  await cachePutBody(JSON.stringify(json), key, {}, cacheName);
 }
 
 async function cachePutText(text, key = 'text', cacheName = CACHE_NAME) {
   console.debug(logPrefix, 'cachePutText', { key, cacheName, size: text?.length });
-  const cache = await caches.open(cacheName);
-  const response = new Response(text, { headers: { 'content-type': 'application/json' } });
-  await cache.put(normalizeCacheKey(key), response);
+  await cachePutBody(text, key, { 'content-type': 'application/json' }, cacheName);
 }
 
 async function cachePutFile(file, key = 'file', cacheName = CACHE_NAME) {
@@ -602,9 +3097,7 @@ async function cachePutFile(file, key = 'file', cacheName = CACHE_NAME) {
     type: file?.type,
     lastModified: file?.lastModified,
   });
-  const cache = await caches.open(cacheName);
-  const response = new Response(file);
-  await cache.put(normalizeCacheKey(key), response);
+  await cachePutBody(file, key, {}, cacheName);
 }
 
 function normalizeCacheKey(key) {
@@ -642,29 +3135,361 @@ function fnv1a(str) {
   return (hash >>> 0).toString(16);
 }
 
-// Bump this when changing the MiniSearch persisted schema (e.g., storeFields).
-const MINISEARCH_META_KEY = 'minisearch:index:meta:v2';
-function getMiniSearchIndexKey(signature) {
-  return `minisearch:index:${signature}:v2`;
+function getInitialState() {
+  // Computed once: localStorage first, then anything in the URL hash (a bookmark/shared link) wins.
+  if (initialState) return initialState;
+  const stored = loadPersistedState();
+  const url = readUrlState();
+  initialState = {
+    settings: { ...DEFAULT_SETTINGS, ...stored?.settings },
+    // Before search modes, there was only a fuzzy on/off switch.
+    searchMode: url.searchMode ?? stored?.searchMode ?? (stored?.fuzzy === false ? 'exact' : 'fuzzy'),
+    input: url.input ?? stored?.input ?? '',
+    selected: Array.isArray(stored?.selected) ? stored.selected : [],
+    libraryFilter: url.libraryFilter ?? stored?.libraryFilter ?? 'all',
+    filters: url.filters ?? { ...DEFAULT_FILTERS, ...stored?.filters },
+    openConversation: url.openConversation ?? null,
+  };
+  return initialState;
+}
+
+function loadPersistedState() {
+  try {
+    const state = JSON.parse(localStorage.getItem(PERSISTED_STATE_KEY) ?? 'null');
+    // Written by a different storage schema: ignore (ensureStorageUpToDate() will clear it).
+    if (state?.version !== STORAGE_SCHEMA_VERSION) return null;
+    return state;
+  } catch {
+    // localStorage can throw in some privacy modes, or hold garbage.
+    return null;
+  }
+}
+
+function savePersistedState(state) {
+  try {
+    localStorage.setItem(PERSISTED_STATE_KEY, JSON.stringify({ version: STORAGE_SCHEMA_VERSION, ...state }));
+  } catch (err) {
+    console.warn(logPrefix, 'storage: failed to persist state', err);
+  }
+}
+
+function readUrlState() {
+  // `#q=<query>&mode=exact&library=<id>&model=<slug>&…&open=<conversation id>&message=<index>`; absent = default.
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const state = {};
+  if (params.has('q')) state.input = params.get('q');
+  // Older links have `fuzzy=0` instead of a mode.
+  if (params.get('fuzzy') === '0') state.searchMode = 'exact';
+  if (Object.hasOwn(SEARCH_MODES, params.get('mode') ?? '')) state.searchMode = params.get('mode');
+  if (params.has('library')) state.libraryFilter = params.get('library');
+  if (Object.values(URL_FILTER_PARAMS).some(param => params.has(param))) {
+    state.filters = Object.fromEntries(Object.entries(URL_FILTER_PARAMS).map(([key, param]) => {
+      const fallback = DEFAULT_FILTERS[key];
+      if (Array.isArray(fallback)) return [key, params.getAll(param)];
+      if (typeof fallback === 'boolean') return [key, params.get(param) === '1'];
+      return [key, params.get(param) ?? fallback];
+    }));
+  }
+  if (params.has('open')) {
+    const message = Number(params.get('message'));
+    state.openConversation = {
+      id: params.get('open'),
+      highlight: getHighlightTermsForInput(state.input, state.searchMode),
+      mode: state.searchMode,
+      ...(params.has('message') && Number.isInteger(message) && { messageIndex: message }),
+    };
+  }
+  return state;
+}
+
+function writeUrlState({ input, searchMode, libraryFilter, filters, openConversation }) {
+  const params = new URLSearchParams();
+  if (input) params.set('q', input);
+  if (searchMode !== 'fuzzy') params.set('mode', searchMode);
+  if (libraryFilter && libraryFilter !== 'all') params.set('library', libraryFilter);
+  for (const [key, param] of Object.entries(URL_FILTER_PARAMS)) {
+    const value = filters[key];
+    if (Array.isArray(value)) value.forEach(item => params.append(param, item));
+    else if (value === true) params.set(param, '1');
+    else if (value) params.set(param, value);
+  }
+  if (openConversation) {
+    params.set('open', openConversation.id);
+    if (openConversation.messageIndex != null) params.set('message', String(openConversation.messageIndex));
+  }
+  const hash = params.toString();
+  if (hash === window.location.hash.slice(1)) return;
+  // replaceState: typing shouldn't flood the history, and it doesn't fire `hashchange`.
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+}
+
+function clearUrlState() {
+  if (!window.location.hash) return;
+  history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+}
+
+// The content filter checkboxes just add/remove `has:<facet>` in the query.
+function hasFacet(input, facet) {
+  return getFacetPattern(facet).test(input);
+}
+
+function toggleFacet(input, facet) {
+  if (hasFacet(input, facet)) return input.replace(getFacetPattern(facet), '').trim();
+  return `${input.trim()} has:${facet}`.trim();
+}
+
+function getFacetPattern(facet) {
+  return new RegExp(`(^|\\s)has:${facet}(?=\\s|$)`, 'i');
+}
+
+function getHighlightTermsForInput(input, mode) {
+  try {
+    return getQueryTerms(parseQuery(input, { mode }));
+  } catch {
+    return [];
+  }
+}
+
+function getSearchOptions(settings) {
+  // Alternate branches weigh the same as the active one.
+  const boost = { title: settings.titleBoost };
+  for (const [author, value] of Object.entries(settings.authorBoosts)) {
+    boost[author] = value;
+    boost[`alt:${author}`] = value;
+  }
+  return {
+    fuzzy: settings.searchFuzziness || false,
+    prefix: settings.searchPrefix,
+    combineWith: settings.searchCombineWith,
+    boost,
+  };
+}
+
+function getSuggestions(miniSearch, input) {
+  // Completes the word being typed (not operators or phrases), keeping the rest of the query.
+  const match = /(^|\s)([^\s"():-][^\s"():]*)$/.exec(input);
+  if (!miniSearch || !match || match[2].length < 2) return [];
+  const before = input.slice(0, match.index + match[1].length);
+  return miniSearch
+    .autoSuggest(match[2], { fields: getSearchFields(), fuzzy: 0.2, prefix: true })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ suggestion }) => before + suggestion)
+    .filter(suggestion => suggestion !== input);
+}
+
+function getExportOptions(settings) {
+  return {
+    branches: settings.exportBranches,
+    includeTool: settings.exportTool,
+    includeSystem: settings.exportSystem,
+    includeHidden: settings.exportHidden,
+  };
+}
+
+function normalizeAnnotation({ tags = [], starred, note = '' }) {
+  // `null` once there's nothing left worth keeping.
+  const uniqueTags = Array.from(new Set(tags.filter(Boolean)));
+  const annotation = {
+    ...(uniqueTags.length && { tags: uniqueTags }),
+    ...(starred && { starred: true }),
+    ...(note.trim() && { note: note.trim() }),
+  };
+  return Object.keys(annotation).length ? annotation : null;
+}
+
+function getAssetArchive(libraryId) {
+  if (!assetArchives.has(libraryId)) {
+    const archive = cacheGetFile(getLibraryFileKey(libraryId)).then(blob => (blob ? openAssetArchive(blob) : null));
+    // Don't keep a failure around; the next lookup can try again.
+    archive.catch(() => assetArchives.delete(libraryId));
+    assetArchives.set(libraryId, archive);
+  }
+  return assetArchives.get(libraryId);
+}
+
+function forgetAssetArchive(libraryId) {
+  // The library's ZIP was replaced or deleted.
+  assetArchives.get(libraryId)?.then(archive => archive?.revoke(), () => {});
+  assetArchives.delete(libraryId);
+}
+
+function getConversationHref(conversation) {
+  // Links that open the reader pane still point somewhere for middle-clicks: the original, or this app.
+  return getConversationUrl(conversation) ?? `#open=${encodeURIComponent(conversation.id)}`;
+}
+
+function getLibraryFileKey(libraryId) {
+  return libraryId === DEFAULT_LIBRARY_ID ? 'file' : `file:${libraryId}`;
+}
+
+function createLibrary(name, libraries) {
+  const fallback = libraries.length ? `Library ${libraries.length + 1}` : 'My archive';
+  const id = libraries.length ? `library-${Date.now().toString(36)}` : DEFAULT_LIBRARY_ID;
+  return { id, name: name.trim() || fallback, createdAt: Date.now() };
+}
+
+function normalizeLibraries(libraries, conversations) {
+  // Make sure every library a conversation points at exists (e.g. data from before libraries).
+  const result = Array.isArray(libraries) ? [...libraries] : [];
+  for (const id of new Set(conversations.map(getLibraryId))) {
+    if (!result.some(l => l.id === id)) {
+      result.push({ id, name: id === DEFAULT_LIBRARY_ID ? 'My archive' : id, createdAt: Date.now() });
+    }
+  }
+  return result;
+}
+
+function mergeIntoLibrary(conversations, incoming, libraryId, { provider, partial, ...options }) {
+  const incomingIds = new Set(incoming.map(c => c.id));
+  const inLibrary = c => getLibraryId(c) === libraryId;
+  // An export only speaks for its provider's conversations, a single (shared) conversation only for itself:
+  // the rest of the library isn't "deleted upstream" just because it's not in there.
+  const inScope = c => inLibrary(c) && (incomingIds.has(c.id) || (!partial && getProvider(c) === provider));
+  // Conversation ids are global, so importing one into another library moves it there.
+  const moved = conversations.filter(c => !inLibrary(c) && incomingIds.has(c.id));
+  const others = conversations.filter(c => !inScope(c) && !incomingIds.has(c.id));
+  const merged = mergeConversations(conversations.filter(inScope), incoming, options);
+  return {
+    ...merged,
+    conversations: [...others, ...merged.conversations].sort(sortConversations),
+    removed: [...merged.removed, ...moved],
+    moved,
+  };
+}
+
+function diffConversations(previous, next) {
+  // What `patchIndexes` needs to take indexes of `previous` to `next`; merges keep unchanged ones as they are.
+  const previousById = new Map(previous.map(c => [c.id, c]));
+  const nextIds = new Set(next.map(c => c.id));
+  const added = [];
+  const updated = [];
+  for (const c of next) {
+    const before = previousById.get(c.id);
+    if (!before) added.push(c);
+    else if (before !== c) updated.push({ previous: before, next: c });
+  }
+  return { added, updated, removed: previous.filter(c => !nextIds.has(c.id)) };
+}
+
+async function getStorageEstimate() {
+  try {
+    return (await navigator.storage?.estimate?.()) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What takes up space: `{ usage, quota, entries }`, with `usage`/`quota` from the browser's estimate
+ * and `entries` (`[{ key, kind, label, size, libraryId?, stale? }]`, largest first) from our Cache
+ * Storage. Index entries are stale unless a current meta key points at them.
+ */
+async function getStorageReport(libraries) {
+  const estimate = await getStorageEstimate();
+  const current = new Set();
+  for (const { metaKey } of Object.values(MINISEARCH_INDEXES)) {
+    current.add(metaKey);
+    const meta = await cacheGetJson(metaKey);
+    if (meta?.indexKey) current.add(meta.indexKey);
+  }
+
+  const entries = [];
+  const cache = await caches.open(CACHE_NAME);
+  for (const request of await cache.keys()) {
+    // See normalizeCacheKey: plain keys are relative paths, the others are encoded under `/_cache/`.
+    const key = decodeURIComponent(new URL(request.url).pathname.split('/').pop());
+    const size = (await (await cache.match(request))?.blob())?.size ?? 0;
+    entries.push({ key, size, ...describeCacheKey(key) });
+  }
+  let shellSize = 0;
+  for (const name of await caches.keys()) {
+    if (!name.startsWith('chatgpt-search-shell-')) continue;
+    const shell = await caches.open(name);
+    for (const request of await shell.keys()) shellSize += (await (await shell.match(request))?.blob())?.size ?? 0;
+  }
+  if (shellSize) entries.push({ key: 'shell', kind: 'app', label: 'The app itself (for offline use)', size: shellSize });
+
+  entries.sort((a, b) => b.size - a.size);
+  return { usage: estimate?.usage ?? 0, quota: estimate?.quota ?? 0, entries };
+
+  function describeCacheKey(key) {
+    if (key === 'json') return { kind: 'conversations', label: 'Conversations' };
+    if (key === 'libraries') return { kind: 'meta', label: 'Library list' };
+    if (key === 'annotations') return { kind: 'meta', label: 'Your tags, stars and notes' };
+    if (key === IMPORT_REPORT_KEY) return { kind: 'meta', label: 'Last import report' };
+    if (key === VAULT_KEY) return { kind: 'meta', label: 'Encryption key (locked with your passphrase)' };
+    if (key === 'file' || key.startsWith('file:')) {
+      const libraryId = key === 'file' ? DEFAULT_LIBRARY_ID : key.slice('file:'.length);
+      const library = libraries.find(l => l.id === libraryId);
+      return { kind: 'zip', libraryId, label: `Original ZIP of "${library?.name ?? 'a deleted library'}"` };
+    }
+    if (key.startsWith('minisearch')) {
+      const stale = !current.has(key);
+      const name = key.startsWith('minisearch:messages:') ? 'Message search index' : 'Search index';
+      return { kind: 'index', stale, label: `${name}${key.includes(':meta:') ? ' info' : ''}${stale ? ' (stale)' : ''}` };
+    }
+    return { kind: 'other', label: key };
+  }
+}
+
+async function wipeStorage() {
+  // Our data (the app's own offline copy stays, see public/sw.js), then a fresh start.
+  for (const name of await caches.keys()) {
+    if (name.startsWith('chatgpt-search-cache-v') || LEGACY_CACHE_NAMES.includes(name)) await caches.delete(name);
+  }
+  cleanupLegacyLocalStorage();
+  window.location.replace(`${window.location.pathname}${window.location.search}`);
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let i = 0;
+  while (bytes >= 1024 && i < units.length - 1) {
+    bytes /= 1024;
+    i++;
+  }
+  return `${bytes.toFixed(i && bytes < 10 ? 1 : 0)} ${units[i]}`;
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function isTyping(target) {
+  // Text fields (and selects) keep their keys; checkboxes and buttons don't need them.
+  return !!target?.closest?.(
+    "input:not([type='checkbox'], [type='radio'], [type='button']), textarea, select, [contenteditable='true']",
+  );
+}
+
+function getSnippetText(text, pattern) {
+  const match = pattern ? pattern.exec(text) : null;
+  if (pattern) pattern.lastIndex = 0;
+  const at = match?.index ?? 0;
+  const start = Math.max(0, at - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, at + (match?.[0].length ?? 0) + SNIPPET_CONTEXT);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
 }
 
-async function restoreMiniSearchIndex({ signature, miniSearchOptions }) {
+async function restoreMiniSearchIndex({ kind, signature }) {
   if (!signature || signature === 'empty') return null;
 
-  const expectedIndexKey = getMiniSearchIndexKey(signature);
+  const { metaKey, getIndexKey } = MINISEARCH_INDEXES[kind];
+  const expectedIndexKey = getIndexKey(signature);
 
   try {
-    const meta = await cacheGetJson(MINISEARCH_META_KEY);
+    const meta = await cacheGetJson(metaKey);
     if (meta?.signature === signature && meta?.indexKey === expectedIndexKey) {
-      // minisearch@6 expects a JSON string here (it JSON.parse's internally).
       const jsonText = await cacheGetText(expectedIndexKey);
       if (jsonText) {
         console.debug(logPrefix, 'MiniSearch: restore hit', {
+          kind,
           signature,
           indexKey: expectedIndexKey,
           size: jsonText.length,
         });
-        return MiniSearch.loadJSON(jsonText, miniSearchOptions);
+        return loadIndex(kind, jsonText);
       }
     }
   } catch (err) {
@@ -674,10 +3499,11 @@ async function restoreMiniSearchIndex({ signature, miniSearchOptions }) {
   return null;
 }
 
-async function persistMiniSearchIndex({ signature, miniSearchOptions, miniSearch }) {
-  if (!signature || signature === 'empty' || !miniSearch) return;
+async function persistMiniSearchIndex({ kind, signature, miniSearch, indexText }) {
+  if (!signature || signature === 'empty' || !(miniSearch || indexText)) return;
 
-  const indexKey = getMiniSearchIndexKey(signature);
+  const { metaKey, getIndexKey, options: miniSearchOptions } = MINISEARCH_INDEXES[kind];
+  const indexKey = getIndexKey(signature);
   const meta = {
     signature,
     indexKey,
@@ -685,92 +3511,48 @@ async function persistMiniSearchIndex({ signature, miniSearchOptions, miniSearch
     miniSearchOptions,
   };
 
-  const indexJson = miniSearch.toJSON();
-  let indexText = undefined;
   try {
-    indexText = JSON.stringify(indexJson);
+    // The worker hands us indexes already serialized; only stringify live instances.
+    indexText ??= JSON.stringify(miniSearch.toJSON());
   } catch {
     console.warn(logPrefix, 'MiniSearch: failed to serialize index JSON', { signature });
     return;
   }
 
   try {
+    const previous = await cacheGetJson(metaKey);
     // Store index as text so restore can pass it straight to MiniSearch.loadJSON.
     await cachePutText(indexText, indexKey);
-    await cachePutJson(meta, MINISEARCH_META_KEY);
+    await cachePutJson(meta, metaKey);
+    // Only the index the meta points at is ever restored; don't leave the previous one behind.
+    if (previous?.indexKey && previous.indexKey !== indexKey) await cacheDelete(previous.indexKey);
   } catch (err) {
     console.warn(logPrefix, 'MiniSearch: failed to persist to Cache Storage', err);
   }
 }
 
-async function processFile(file) {
-  // console.time(`${logPrefix} processFile`);
-  console.debug(logPrefix, 'processFile: start', {
-    name: file?.name,
-    size: file?.size,
-    type: file?.type,
-  });
-  const buffer = await readFileFromInput(file);
-  const zip = await JSZip.loadAsync(buffer);
-  const text = await zip.file('conversations.json')?.async('text');
-  const json = JSON.parse(text ?? '');
-  const conversations = json.map(mapConversation).sort(sortConversation);
-  console.debug(logPrefix, 'processFile: parsed conversations', {
-    conversationsCount: conversations.length,
-  });
-  console.debug(logPrefix, 'processFile: conversations (debug dump)', conversations);
-  console.log(`${logPrefix} ${conversations.length} conversations loaded`);
-  // console.timeEnd(`${logPrefix} processFile`);
-  return conversations;
-
-  function mapConversation(conversation) {
-    const messages = Object.values(conversation.mapping)
-      .filter(m => m.message)
-      .map(mapMessage);
-    return {
-      title: conversation.title,
-      messages,
-      time: conversation.create_time,
-      id: conversation.conversation_id,
-      updated: conversation.update_time,
-      text: messages.map(m => `[${m.author}] ${m.text}`).join('\n'),
-    };
-  }
-
-  function mapMessage({ message }) {
-    const author = message.author.role;
-    const text = message.content.parts?.join(' ');
-    return {
-      author,
-      text,
+/**
+ * Runs one job on a fresh import/index worker (see worker.js). Returns `{ promise, cancel }`;
+ * cancelling terminates the worker and rejects with an `AbortError`.
+ */
+function startWorkerJob(message, onProgress) {
+  const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  let reject;
+  const promise = new Promise((resolve, _reject) => {
+    reject = _reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') onProgress?.(data);
+      else if (data.type === 'result') resolve(data.result);
+      else if (data.type === 'error') reject(new Error(data.message));
     };
-  }
-
-  function sortConversation(a, b) {
-    return a.create_time - b.create_time;
-  }
-}
-
-/* Utils */
-
-function readFileFromInput(file) {
-  const reader = new FileReader();
-  const contentsPromise = new Promise((resolve, reject) => {
-    reader.onload = e => resolve(e.target?.result);
-    reader.onerror = e => reject(e.target?.error);
-  });
-  reader.readAsArrayBuffer(file);
-  return contentsPromise;
-}
-
-function downloadMarkdown(text, filename) {
-  const blob = new Blob([text], { type: 'text/markdown' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+    worker.onerror = e => reject(e.error ?? new Error(e.message));
+  }).finally(() => worker.terminate());
+  worker.postMessage(message);
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      reject(new DOMException('Cancelled', 'AbortError'));
+    },
+  };
 }
@@ -0,0 +1,142 @@
+// MiniSearch index definitions, shared by the app (restore/persist) and the worker (build).
+import MiniSearch from 'minisearch';
+import { CONTENT_FIELDS, extractField, getSearchFields } from './query.js';
+
+// How many documents to add between progress reports while building.
+const INDEX_CHUNK_SIZE = 500;
+
+// Bump this when changing the MiniSearch persisted schema (e.g., storeFields).
+export const MINISEARCH_META_KEY = 'minisearch:index:meta:v5';
+export function getMiniSearchIndexKey(signature) {
+  return `minisearch:index:${signature}:v5`;
+}
+
+// The indexes we maintain, each persisted under its own meta/index keys.
+export const MINISEARCH_INDEXES = {
+  conversations: {
+    metaKey: MINISEARCH_META_KEY,
+    getIndexKey: getMiniSearchIndexKey,
+    // A getter: query.js imports this module too, so its exports may not be ready yet when this one loads.
+    get options() {
+      return {
+        // Title + per-author text and per-kind content (code, citations, ..) of the active branch, and
+        // of alternate branches (see query.js).
+        fields: getSearchFields({ branches: 'all', content: CONTENT_FIELDS }),
+        extractField,
+        // Include `time` so we can sort fuzzy results by created date too.
+        storeFields: ['id', 'title', 'updated', 'time'],
+      };
+    },
+    getDocuments: conversations => conversations,
+  },
+  messages: {
+    metaKey: 'minisearch:messages:meta:v2',
+    getIndexKey: signature => `minisearch:messages:${signature}:v2`,
+    options: {
+      fields: ['text'],
+      storeFields: ['conversationId', 'index', 'author', 'time', 'active'],
+    },
+    getDocuments: getMessageDocuments,
+  },
+};
+
+/**
+ * Builds the given indexes off `conversations`, reporting `{ phase: 'indexing', kind, done, total }`,
+ * and returns them serialized (`{ [kind]: jsonText }`) ready for `MiniSearch.loadJSON`/Cache Storage.
+ */
+export function buildIndexes(conversations, { kinds = Object.keys(MINISEARCH_INDEXES), onProgress } = {}) {
+  const indexes = {};
+  for (const kind of kinds) {
+    const { options, getDocuments } = MINISEARCH_INDEXES[kind];
+    const documents = getDocuments(conversations);
+    const miniSearch = new MiniSearch(options);
+    for (let i = 0; i < documents.length; i += INDEX_CHUNK_SIZE) {
+      onProgress?.({ phase: 'indexing', kind, done: i, total: documents.length });
+      miniSearch.addAll(documents.slice(i, i + INDEX_CHUNK_SIZE));
+    }
+    onProgress?.({ phase: 'indexing', kind, done: documents.length, total: documents.length });
+    indexes[kind] = JSON.stringify(miniSearch);
+  }
+  return indexes;
+}
+
+export function loadIndex(kind, jsonText) {
+  // minisearch@6 expects a JSON string here (it JSON.parse's internally).
+  return MiniSearch.loadJSON(jsonText, MINISEARCH_INDEXES[kind].options);
+}
+
+export function getMessageDocuments(conversations) {
+  // One document per (non-empty) message; `index` points back into `conversation.messages`.
+  return conversations.flatMap(c =>
+    (c.messages ?? []).flatMap((m, index) =>
+      m.text
+        ? [
+            {
+              id: `${c.id}:${index}`,
+              conversationId: c.id,
+              index,
+              author: m.author,
+              time: m.time,
+              active: m.active,
+              text: m.text,
+            },
+          ]
+        : [],
+    ),
+  );
+}
+
+/**
+ * What the term statistics (match counts, "more like this", top terms) need from an index, which
+ * MiniSearch's public API doesn't expose. Reads MiniSearch (v6) internals, so the minisearch version is
+ * pinned in package.json: `_index` maps term -> fieldId -> shortId -> frequency, and postings of
+ * discarded documents (see `patchIndexes`) linger there until MiniSearch vacuums, so they're skipped.
+ */
+export function getIndexInternals(miniSearch) {
+  const { _index: index, _fieldIds: fieldIds, _documentIds: documentIds, _idToShortId: shortIds } = miniSearch;
+  return {
+    documentCount: miniSearch._documentCount,
+    fields: Object.keys(fieldIds),
+    // The index's own tokenizer and term processing.
+    tokenize: miniSearch._options.tokenize,
+    processTerm: miniSearch._options.processTerm,
+    terms: () => index.keys(),
+    /** How often `term` occurs in `field` of document `id`. */
+    getFrequency(term, field, id) {
+      return index.get(term)?.get(fieldIds[field])?.get(shortIds.get(id)) ?? 0;
+    },
+    /** `[[id, frequency]]`, a pair per field of `fields` a (live) document has `term` in. */
+    getPostings(term, fields = Object.keys(fieldIds)) {
+      const byField = index.get(term);
+      const postings = [];
+      for (const field of fields) {
+        for (const [shortId, frequency] of byField?.get(fieldIds[field]) ?? []) {
+          const id = documentIds.get(shortId);
+          if (id != null) postings.push([id, frequency]);
+        }
+      }
+      return postings;
+    },
+  };
+}
+
+/**
+ * Applies a `mergeConversations()` result to live indexes in place (discard + add only the
+ * conversations that changed), so a re-import doesn't rebuild everything.
+ */
+export function patchIndexes(indexes, { added = [], updated = [], removed = [] }) {
+  const { conversations: conversationIndex, messages: messageIndex } = indexes;
+  for (const previous of removed) {
+    conversationIndex.discard(previous.id);
+    for (const document of getMessageDocuments([previous])) messageIndex.discard(document.id);
+  }
+  for (const { previous, next } of updated) {
+    conversationIndex.discard(previous.id);
+    conversationIndex.add(next);
+    for (const document of getMessageDocuments([previous])) messageIndex.discard(document.id);
+    messageIndex.addAll(getMessageDocuments([next]));
+  }
+  conversationIndex.addAll(added);
+  messageIndex.addAll(getMessageDocuments(added));
+  return indexes;
+}
@@ -0,0 +1,8 @@
+// Libraries group conversations (e.g. one per account or export); each conversation stores its `library` id.
+
+// Conversations imported before libraries existed belong to this one (and its ZIP to the `file` key).
+export const DEFAULT_LIBRARY_ID = 'default';
+
+export function getLibraryId(conversation) {
+  return conversation?.library ?? DEFAULT_LIBRARY_ID;
+}
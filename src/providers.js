@@ -0,0 +1,23 @@
+// Where conversations come from (see importer.js): labels for the provider filter, and links back to
+// the original conversation.
+
+export const PROVIDERS = {
+  chatgpt: { label: 'ChatGPT', getUrl: id => `https://chat.openai.com/c/${id}` },
+  claude: { label: 'Claude', getUrl: id => `https://claude.ai/chat/${id}` },
+  // Takeout has no conversation ids to link to.
+  gemini: { label: 'Gemini' },
+};
+
+/** Conversations imported before providers existed all came from ChatGPT. */
+export function getProvider(conversation) {
+  return conversation?.provider ?? 'chatgpt';
+}
+
+export function getProviderLabel(provider) {
+  return PROVIDERS[provider]?.label ?? provider;
+}
+
+/** The conversation where it came from (a shared page keeps its own URL), or `null`. */
+export function getConversationUrl(conversation) {
+  return conversation.url ?? PROVIDERS[getProvider(conversation)]?.getUrl?.(conversation.id) ?? null;
+}
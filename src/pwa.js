@@ -0,0 +1,39 @@
+// Installable / offline app: registers the app-shell service worker (public/sw.js) and asks the
+// browser to keep our storage (a multi-GB archive is the first thing it'd evict when low on space).
+
+const logPrefix = '[chatgpt-search]';
+
+/**
+ * Registers the service worker, in production builds only (the dev server serves unbundled modules).
+ * `onUpdate` is called once a new deployment has been downloaded; reloading switches to it.
+ */
+export function registerServiceWorker({ onUpdate }) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  // This module is bundled into the entry chunk, whose hashed name changes with every deployment; so
+  // does the service worker URL, which makes the browser install the new version.
+  const version = new URL(import.meta.url).pathname.split('/').pop().replace(/\.js$/, '');
+  navigator.serviceWorker.addEventListener('message', e => {
+    if (e.data?.type === 'update-available') onUpdate();
+  });
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js?v=${encodeURIComponent(version)}`)
+    .catch(err => console.warn(logPrefix, 'pwa: service worker registration failed', err));
+}
+
+/** Whether the browser promised not to evict our storage, asking for it first if need be. */
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  try {
+    return (await navigator.storage.persisted()) || (await navigator.storage.persist());
+  } catch {
+    return false;
+  }
+}
+
+export async function isStoragePersisted() {
+  try {
+    return !!(await navigator.storage?.persisted?.());
+  } catch {
+    return false;
+  }
+}
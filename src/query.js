@@ -0,0 +1,619 @@
+// Structured search queries, layered on top of MiniSearch.
+//
+//   author:assistant "rate limiter" -redis after:2024-03 title:migration
+//
+// - Bare words are handed to MiniSearch as-is (so plain queries behave exactly as before).
+// - "quoted phrases" must appear verbatim in a message (or the title).
+// - `-word`, `-"phrase"`, `NOT x` exclude; `a OR b` unions; whitespace (or `AND`) intersects;
+//   parentheses group.
+// - `title:` restricts a word/phrase to titles; `code:`, `output:` (tool output), `cite:` (cited
+//   sources), `file:` (attachment names) and `image:` (DALL·E prompts) to that kind of content.
+// - `has:` keeps conversations with some kind of content (see CONTENT_FACETS), e.g. `has:code`.
+// - `tag:` keeps conversations you've tagged so, `note:` those whose note mentions a word/phrase.
+// - `author:` restricts every word/phrase in the query to messages by that author.
+// - `after:` keeps conversations updated on/after a date, `before:` those created before it
+//   (YYYY, YYYY-MM or YYYY-MM-DD, local time).
+//
+// How words and phrases match depends on the search mode (see SEARCH_MODES). In regex mode the whole
+// input is one JavaScript regular expression, and none of the above applies.
+import { getIndexInternals } from './indexes.js';
+
+// Search modes, by how they match: through the index (fuzzy) or by scanning the text.
+export const SEARCH_MODES = {
+  fuzzy: 'Fuzzy',
+  exact: 'Exact',
+  word: 'Whole word',
+  case: 'Case-sensitive',
+  regex: 'Regex',
+};
+
+export const AUTHORS = ['user', 'assistant', 'system', 'tool'];
+
+const AUTHOR_ALIASES = {
+  me: 'user',
+  human: 'user',
+  ai: 'assistant',
+  gpt: 'assistant',
+  chatgpt: 'assistant',
+};
+
+// Non-text message content, indexed separately from the per-author text (see `extractField`).
+export const CONTENT_FIELDS = ['code', 'output', 'citations', 'attachments', 'images'];
+// Code and tool output are part of their author's text too, so plain searches don't need them twice.
+const DEFAULT_CONTENT_FIELDS = ['citations', 'attachments', 'images'];
+
+// `<operator>:word` -> the field it searches.
+const FIELD_OPERATORS = {
+  title: 'title',
+  code: 'code',
+  output: 'output',
+  cite: 'citations',
+  file: 'attachments',
+  image: 'images',
+};
+
+// `has:<facet>`: what a conversation must contain.
+export const CONTENT_FACETS = {
+  code: { label: 'Code', test: m => m.contentType === 'code' },
+  output: { label: 'Tool output', test: m => m.author === 'tool' && !!m.text },
+  image: { label: 'Images', test: m => !!m.images },
+  upload: { label: 'Uploads', test: m => m.author === 'user' && !!(m.images || m.attachments) },
+  dalle: { label: 'DALL·E images', test: m => !!m.images?.some(image => image.prompt) },
+  citation: { label: 'Citations', test: m => !!m.citations },
+};
+
+const OPERATORS = ['author', ...Object.keys(FIELD_OPERATORS), 'has', 'tag', 'note', 'before', 'after'];
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(position == null ? message : `${message} (at column ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/* Fields */
+
+/**
+ * Index fields for a given author scope / branch mode. Active-branch text is indexed per author
+ * (`user`, `assistant`, ..) and per kind of content (`code`, `citations`, ..), alternate branches
+ * under `alt:<field>`.
+ */
+export function getSearchFields({
+  authors = AUTHORS,
+  branches = 'active',
+  title = true,
+  content = DEFAULT_CONTENT_FIELDS,
+} = {}) {
+  const fields = [...authors, ...content];
+  return [...(title ? ['title'] : []), ...fields, ...(branches === 'all' ? fields.map(field => `alt:${field}`) : [])];
+}
+
+/** MiniSearch `extractField` for conversations. */
+export function extractField(conversation, field) {
+  if (field === 'title') return conversation.title ?? '';
+  const alt = field.startsWith('alt:');
+  const name = alt ? field.slice(4) : field;
+  if (!AUTHORS.includes(name) && !CONTENT_FIELDS.includes(name)) return conversation[field];
+  return (conversation.messages ?? [])
+    .filter(m => (m.active === false) === alt)
+    .map(m => (AUTHORS.includes(name) ? (m.author === name ? m.text : '') : getContentText(m, name)))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Texts (and lowercased texts) for substring matching, computed once per (immutable) conversation/message object.
+const fieldTexts = new WeakMap();
+const lowerCaseFields = new WeakMap();
+const lowerCaseTexts = new WeakMap();
+
+export function getLowerCaseField(conversation, field) {
+  let fields = lowerCaseFields.get(conversation);
+  if (!fields) lowerCaseFields.set(conversation, (fields = new Map()));
+  if (!fields.has(field)) fields.set(field, String(extractField(conversation, field) ?? '').toLowerCase());
+  return fields.get(field);
+}
+
+function getField(conversation, field) {
+  let fields = fieldTexts.get(conversation);
+  if (!fields) fieldTexts.set(conversation, (fields = new Map()));
+  if (!fields.has(field)) fields.set(field, String(extractField(conversation, field) ?? ''));
+  return fields.get(field);
+}
+
+export function getLowerCaseText(message) {
+  if (!lowerCaseTexts.has(message)) lowerCaseTexts.set(message, String(message.text ?? '').toLowerCase());
+  return lowerCaseTexts.get(message);
+}
+
+function getContentText(message, field) {
+  switch (field) {
+    case 'code':
+      return message.contentType === 'code' ? message.text : '';
+    case 'output':
+      return message.author === 'tool' ? message.text : '';
+    case 'citations':
+      return (message.citations ?? []).map(c => [c.title, c.url, c.text].filter(Boolean).join(' ')).join('\n');
+    case 'attachments':
+      return (message.attachments ?? []).map(a => a.name).join('\n');
+    case 'images':
+      return (message.images ?? []).map(image => image.prompt ?? '').join('\n');
+  }
+}
+
+/* Parsing */
+
+/**
+ * Parses a query string into `{ root, authors }`, or `null` for a blank query.
+ * Throws a `QuerySyntaxError` describing the first problem found.
+ */
+export function parseQuery(input, { mode = 'fuzzy' } = {}) {
+  if (mode === 'regex') return parseRegexQuery(input);
+  const tokens = tokenize(String(input ?? ''));
+  if (!tokens.length) return null;
+
+  const authors = new Set();
+  let i = 0;
+  let depth = 0;
+
+  const root = parseOr();
+  if (i < tokens.length) {
+    // The only way to stop early is an unmatched `)`.
+    throw new QuerySyntaxError("Unmatched ')'", tokens[i].position);
+  }
+
+  return { root, authors: Array.from(authors) };
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (tokens[i]?.type === 'or') {
+      const { position } = tokens[i++];
+      if (!startsOperand(tokens[i])) throw new QuerySyntaxError("Expected something after 'OR'", position);
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    let scoped = false;
+    while (i < tokens.length && tokens[i].type !== 'or' && tokens[i].type !== ')') {
+      if (tokens[i].type === 'and') {
+        const { position } = tokens[i++];
+        if (!children.length || !startsOperand(tokens[i])) {
+          throw new QuerySyntaxError("'AND' needs something on both sides", position);
+        }
+        continue;
+      }
+      const node = parseUnary();
+      if (!node) {
+        scoped = true;
+        continue;
+      }
+      const previous = children.at(-1);
+      // Adjacent bare words stay one MiniSearch query, so relevance ranking works as usual.
+      if (node.type === 'terms' && !node.field && previous?.type === 'terms' && !previous.field) {
+        previous.value += ` ${node.value}`;
+      } else {
+        children.push(node);
+      }
+    }
+    // A query made only of `author:` has nothing to intersect; it's a filter by itself.
+    if (!children.length && scoped) return null;
+    if (!children.length) {
+      const token = tokens[i] ?? tokens.at(-1);
+      throw new QuerySyntaxError('Expected a search term', token.position);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    const token = tokens[i];
+    if (token.type === 'not') {
+      i++;
+      if (!startsOperand(tokens[i])) throw new QuerySyntaxError(`Nothing to exclude after '${token.text}'`, token.position);
+      const child = parseUnary();
+      if (!child) throw new QuerySyntaxError("'author:' can't be negated", token.position);
+      return { type: 'not', child };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[i++];
+    switch (token.type) {
+      case '(': {
+        if (tokens[i]?.type === ')') throw new QuerySyntaxError('Empty parentheses', token.position);
+        depth++;
+        const node = parseOr();
+        depth--;
+        if (tokens[i]?.type !== ')') throw new QuerySyntaxError("Unmatched '('", token.position);
+        i++;
+        return node;
+      }
+      case 'word':
+        return { type: 'terms', value: token.value };
+      case 'phrase':
+        return { type: 'phrase', value: token.value };
+      case 'field':
+        return parseField(token);
+      default:
+        throw new QuerySyntaxError(`Unexpected '${token.text}'`, token.position);
+    }
+  }
+
+  function parseField({ name, value, phrase, position }) {
+    switch (name) {
+      case 'author': {
+        const author = AUTHOR_ALIASES[value.toLowerCase()] ?? value.toLowerCase();
+        if (!AUTHORS.includes(author)) {
+          throw new QuerySyntaxError(`Unknown author '${value}' (use ${AUTHORS.join(', ')})`, position);
+        }
+        if (depth || tokens[i]?.type === 'or' || tokens[i - 2]?.type === 'or') {
+          throw new QuerySyntaxError("'author:' applies to the whole query; it can't be an OR operand or go in parentheses", position);
+        }
+        authors.add(author);
+        return null;
+      }
+      case 'has': {
+        const facet = value.toLowerCase();
+        if (!CONTENT_FACETS[facet]) {
+          throw new QuerySyntaxError(`Unknown content '${value}' (use ${Object.keys(CONTENT_FACETS).join(', ')})`, position);
+        }
+        return { type: 'has', facet };
+      }
+      case 'tag':
+        return { type: 'tag', value: normalizeTag(value) };
+      case 'note':
+        return { type: 'note', value };
+      case 'before':
+      case 'after':
+        return { type: 'date', op: name, value, ...parseDateBound(value, name, position) };
+      default:
+        return { type: phrase ? 'phrase' : 'terms', value, field: FIELD_OPERATORS[name] };
+    }
+  }
+
+  function startsOperand(token) {
+    return !!token && !['or', 'and', ')'].includes(token.type);
+  }
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, text: char, position: i++ });
+    } else if (char === '"') {
+      const { value, end } = readPhrase(i);
+      tokens.push({ type: 'phrase', value, text: input.slice(i, end), position: i });
+      i = end;
+    } else if (char === '-' && (tokens.length === 0 || isBoundary(input[i - 1]))) {
+      if (i + 1 >= input.length || /[\s)]/.test(input[i + 1])) {
+        throw new QuerySyntaxError("Nothing to exclude after '-'", i);
+      }
+      tokens.push({ type: 'not', text: '-', position: i++ });
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      tokens.push(readWord(input.slice(start, i), start));
+    }
+  }
+  return tokens;
+
+  function readPhrase(start) {
+    const end = input.indexOf('"', start + 1);
+    if (end === -1) throw new QuerySyntaxError('Unterminated quote', start);
+    const value = input.slice(start + 1, end).trim();
+    if (!value) throw new QuerySyntaxError('Empty quotes', start);
+    return { value, end: end + 1 };
+  }
+
+  function readWord(text, position) {
+    if (text === 'OR' || text === 'AND' || text === 'NOT') {
+      return { type: text.toLowerCase(), text, position };
+    }
+    // `name:value`, but not URLs (`https://..`), times (`12:30`) or `std::vector`. Names that aren't operators
+    // (`Error:ECONNRESET`, `localhost:3000`) are just words.
+    const field = /^([a-z]+):(?!:|\/\/)(.*)$/i.exec(text);
+    const name = field?.[1].toLowerCase();
+    if (!OPERATORS.includes(name)) return { type: 'word', value: text, text, position };
+    if (field[2]) return { type: 'field', name, value: field[2], text, position };
+    // `title:"some phrase"`
+    if (input[i] === '"') {
+      const { value, end } = readPhrase(i);
+      const token = { type: 'field', name, value, phrase: true, text: input.slice(position, end), position };
+      i = end;
+      return token;
+    }
+    throw new QuerySyntaxError(`Missing value after '${text}'`, position);
+  }
+
+  function isBoundary(char) {
+    return /[\s(]/.test(char);
+  }
+}
+
+function parseRegexQuery(input) {
+  const value = String(input ?? '').trim();
+  if (!value) return null;
+  // Compiled here so a bad pattern is reported like any other syntax error.
+  parseRegex(value);
+  return { root: { type: 'terms', value }, authors: [] };
+}
+
+/** `pattern` or `/pattern/flags`, as a global RegExp. Bare patterns are case-sensitive, as in JavaScript. */
+function parseRegex(value) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(value);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [value, ''];
+  try {
+    return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  } catch (err) {
+    // Drop V8's echo of the pattern: "Invalid regular expression: /(/g: Unterminated group".
+    const reason = err.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /s, '');
+    throw new QuerySyntaxError(`Invalid regular expression: ${reason}`);
+  }
+}
+
+function parseDateBound(value, name, position) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  const [year, month = 1, day = 1] = match ? match.slice(1).filter(Boolean).map(Number) : [];
+  const date = match && new Date(year, month - 1, day);
+  if (!date || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new QuerySyntaxError(`Invalid date '${value}' for '${name}:' (use YYYY, YYYY-MM or YYYY-MM-DD)`, position);
+  }
+  // Export timestamps are in seconds.
+  return { at: date.getTime() / 1000 };
+}
+
+/* Evaluation */
+
+/**
+ * Runs a parsed query against the conversations. With `miniSearch` (fuzzy mode) words go through
+ * the index; otherwise they are matched as `mode` says (see `createMatcher`). Returns
+ * `[{ id, title, updated, time, score, matches, terms }]`, unsorted; `matches` counts occurrences of
+ * the words/phrases.
+ */
+export function runQuery(query, { conversations, miniSearch, mode = 'exact', branches = 'active', searchOptions = {} }) {
+  const byId = new Map(conversations.map(c => [c.id, c]));
+  const authors = query.authors.length ? query.authors : AUTHORS;
+
+  const matches = query.root ? evaluate(query.root) : universe();
+  return Array.from(matches, ([id, { score, count, terms }]) => {
+    const c = byId.get(id);
+    return { id, title: c.title, updated: c.updated, time: c.time, score, matches: count, terms: Array.from(terms) };
+  });
+
+  function evaluate(node) {
+    switch (node.type) {
+      case 'and':
+        return evaluateAnd(node.children);
+      case 'or':
+        return node.children.map(evaluate).reduce(union);
+      case 'not':
+        return difference(universe(), evaluate(node.child));
+      case 'terms':
+        return miniSearch ? searchIndex(node) : scan(node);
+      case 'phrase':
+        return searchPhrase(node);
+      case 'date':
+        return filter(c => (node.op === 'after' ? Number(c.updated ?? 0) >= node.at : Number(c.time ?? 0) < node.at));
+      case 'has':
+        return filter(c => hasContent(c, node.facet));
+      case 'tag':
+        return filter(c => !!c.annotation?.tags?.includes(node.value));
+      case 'note':
+        return filter(c => String(c.annotation?.note ?? '').toLowerCase().includes(node.value.toLowerCase()));
+    }
+  }
+
+  function evaluateAnd(children) {
+    // Exclusions only ever remove, so apply them after intersecting the positive parts.
+    const positive = children.filter(child => child.type !== 'not');
+    const negative = children.filter(child => child.type === 'not');
+    let result = positive.length ? positive.map(evaluate).reduce(intersection) : universe();
+    for (const { child } of negative) result = difference(result, evaluate(child));
+    return result;
+  }
+
+  function getFields(node) {
+    if (node.field === 'title') return ['title'];
+    if (node.field) return getSearchFields({ authors: [], branches, title: false, content: [node.field] });
+    // With `author:`, content that isn't tied to an author (citations, ..) is out of scope too.
+    const scoped = query.authors.length > 0;
+    return getSearchFields({ authors, branches, title: !scoped, ...(scoped && { content: [] }) });
+  }
+
+  function searchIndex(node, options = {}) {
+    const fields = getFields(node);
+    const results = miniSearch.search(node.value, {
+      ...searchOptions,
+      ...options,
+      fields,
+      // The index covers every conversation; `conversations` may be a subset (e.g. one library).
+      filter: r => byId.has(r.id),
+    });
+    return new Map(
+      results.map(r => [r.id, { score: r.score, count: countIndexed(r, fields), terms: new Set(r.terms) }]),
+    );
+  }
+
+  function countIndexed({ id, match }, fields) {
+    const internals = getIndexInternals(miniSearch);
+    let count = 0;
+    for (const [term, matchedFields] of Object.entries(match)) {
+      for (const field of matchedFields) if (fields.includes(field)) count += internals.getFrequency(term, field, id);
+    }
+    return count;
+  }
+
+  function scan(node) {
+    const matcher = createMatcher(node.value, mode);
+    const fields = getFields(node);
+    const result = new Map();
+    for (const c of conversations) {
+      let count = 0;
+      let score = 0;
+      for (const field of fields) {
+        const n = countFieldMatches(c, field, matcher);
+        count += n;
+        score += n * (field === 'title' ? 5 : 1);
+      }
+      if (count) result.set(c.id, { score, count, terms: new Set([node.value]) });
+    }
+    return result;
+  }
+
+  function searchPhrase(node) {
+    if (!miniSearch || !/\w/.test(node.value)) return scan(node);
+    // Let the index narrow things down to documents with every word, then verify the exact phrase.
+    const candidates = searchIndex(node, { combineWith: 'AND', fuzzy: false, prefix: false });
+    const matcher = createMatcher(node.value, 'exact');
+    const fields = getFields(node);
+    const result = new Map();
+    for (const [id, { score }] of candidates) {
+      const c = byId.get(id);
+      const count = fields.reduce((sum, field) => sum + countFieldMatches(c, field, matcher), 0);
+      if (count) result.set(id, { score, count, terms: new Set([node.value]) });
+    }
+    return result;
+  }
+
+  function filter(predicate) {
+    const result = new Map();
+    for (const c of conversations) if (predicate(c)) result.set(c.id, { score: 0, count: 0, terms: new Set() });
+    return result;
+  }
+
+  function universe() {
+    // Author-only queries (`author:tool`) keep conversations that have any message by that author.
+    return filter(c => !query.authors.length || c.messages?.some(m => authors.includes(m.author)));
+  }
+}
+
+/** Tags are compared as typed, minus case, a leading `#` and inner whitespace (`#Infra Ops` = `infra-ops`). */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+}
+
+export function hasContent(conversation, facet) {
+  return (conversation.messages ?? []).some(CONTENT_FACETS[facet].test);
+}
+
+/** Words/phrases worth highlighting or previewing (i.e. not excluded ones). */
+export function getQueryTerms(query) {
+  const terms = [];
+  collect(query?.root);
+  return terms;
+
+  function collect(node) {
+    if (!node) return;
+    if (node.type === 'terms' || node.type === 'phrase') terms.push(node.value);
+    if (node.children) node.children.forEach(collect);
+  }
+}
+
+/**
+ * How a word/phrase (or, in regex mode, the pattern) matches when scanning text:
+ * `{ lowerCase, count(text) }`, where `text` must be lowercased if `lowerCase` is set.
+ */
+export function createMatcher(value, mode) {
+  if (mode === 'exact' || mode === 'fuzzy') {
+    const needle = value.toLowerCase();
+    return { lowerCase: true, count: text => countOccurrences(text, needle) };
+  }
+  const pattern = mode === 'regex' ? parseRegex(value) : getMatchPattern([value], mode);
+  return { lowerCase: false, count: text => countMatches(text, pattern) };
+}
+
+/** Occurrences of the matcher in a message's text. */
+export function countMessageMatches(message, matcher) {
+  return matcher.count(matcher.lowerCase ? getLowerCaseText(message) : String(message.text ?? ''));
+}
+
+function countFieldMatches(conversation, field, matcher) {
+  return matcher.count(matcher.lowerCase ? getLowerCaseField(conversation, field) : getField(conversation, field));
+}
+
+/**
+ * A global RegExp matching any of `terms` the way `mode` does, for highlighting (`null` if there's
+ * nothing to match). Fuzzy terms are the index's own (lowercased) terms, so they match like exact ones.
+ */
+export function getMatchPattern(terms, mode = 'exact') {
+  const unique = Array.from(new Set((terms ?? []).map(t => String(t).trim()).filter(Boolean)));
+  if (!unique.length) return null;
+  if (mode === 'regex') {
+    try {
+      return parseRegex(unique[0]);
+    } catch {
+      return null;
+    }
+  }
+  // Longest first so overlapping terms prefer the longer match.
+  const source = unique
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+  if (mode === 'word') return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`, 'giu');
+  return new RegExp(source, mode === 'case' ? 'g' : 'gi');
+}
+
+function countMatches(text, pattern) {
+  if (!text) return 0;
+  let count = 0;
+  for (const match of text.matchAll(pattern)) if (match[0]) count++;
+  return count;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function countOccurrences(haystack, needle) {
+  if (!haystack || !needle) return 0;
+  let count = 0;
+  let i = 0;
+  while (true) {
+    i = haystack.indexOf(needle, i);
+    if (i === -1) break;
+    count++;
+    i += needle.length;
+  }
+  return count;
+}
+
+function intersection(a, b) {
+  const result = new Map();
+  for (const [id, match] of a) {
+    const other = b.get(id);
+    if (other) result.set(id, merge(match, other));
+  }
+  return result;
+}
+
+function union(a, b) {
+  const result = new Map(a);
+  for (const [id, match] of b) {
+    const other = result.get(id);
+    result.set(id, other ? merge(match, other) : match);
+  }
+  return result;
+}
+
+function difference(a, b) {
+  const result = new Map(a);
+  for (const id of b.keys()) result.delete(id);
+  return result;
+}
+
+function merge(a, b) {
+  return { score: a.score + b.score, count: a.count + b.count, terms: new Set([...a.terms, ...b.terms]) };
+}
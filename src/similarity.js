@@ -0,0 +1,102 @@
+// "More like this" (related conversations, via the conversations MiniSearch index) and duplicate
+// detection (conversations that start with the same prompt, e.g. retries).
+import { getIndexInternals } from './indexes.js';
+import { extractField, getSearchFields } from './query.js';
+
+// How many of a conversation's most distinctive terms make up its "more like this" query.
+const SIMILAR_QUERY_TERMS = 25;
+// First prompts shorter than this ("hi", "test") are too generic to call conversations duplicates.
+const MIN_DUPLICATE_PROMPT_LENGTH = 20;
+
+/**
+ * Conversations similar to `conversation`: queries the index with its highest tf-idf terms.
+ * Returns `[{ id, title, score }]`, best first, without the conversation itself.
+ */
+export function findSimilar(miniSearch, conversation, { conversations, limit = 20 } = {}) {
+  const terms = getDistinctiveTerms(miniSearch, conversation, SIMILAR_QUERY_TERMS);
+  if (!terms.length) return [];
+  const allowed = conversations && new Set(conversations.map(c => c.id));
+  return miniSearch
+    .search(terms.join(' '), {
+      fields: getSearchFields(),
+      combineWith: 'OR',
+      fuzzy: false,
+      prefix: false,
+      filter: r => r.id !== conversation.id && (!allowed || allowed.has(r.id)),
+    })
+    .slice(0, limit)
+    .map(r => ({ id: r.id, title: r.title, score: r.score }));
+}
+
+/**
+ * Groups of near-identical conversations: ones whose first prompt is the same once case, whitespace
+ * and punctuation are ignored. Each group (`[conversation]`, at least two) is sorted so the one to
+ * keep comes first (see `compareForKeeping`); groups are sorted newest first.
+ */
+export function findDuplicates(conversations) {
+  const groups = new Map();
+  for (const c of conversations) {
+    const key = getDuplicateKey(c);
+    if (!key) continue;
+    const group = groups.get(key) ?? [];
+    group.push(c);
+    groups.set(key, group);
+  }
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => group.sort(compareForKeeping))
+    .sort((a, b) => Number(b[0].updated ?? 0) - Number(a[0].updated ?? 0));
+}
+
+/** `conversations` minus the duplicates among them (keeping the first of each group). */
+export function withoutDuplicates(conversations) {
+  const skip = new Set(findDuplicates(conversations).flatMap(group => group.slice(1).map(c => c.id)));
+  return conversations.filter(c => !skip.has(c.id));
+}
+
+export function getFirstPrompt(conversation) {
+  return (conversation.messages ?? []).find(m => m.author === 'user' && m.active !== false && !m.hidden && m.text)?.text;
+}
+
+function getDuplicateKey(conversation) {
+  const prompt = String(getFirstPrompt(conversation) ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+  return prompt.length >= MIN_DUPLICATE_PROMPT_LENGTH ? prompt : null;
+}
+
+function compareForKeeping(a, b) {
+  // The most recently updated, then the longest.
+  return (
+    Number(b.updated ?? 0) - Number(a.updated ?? 0) || (b.messages?.length ?? 0) - (a.messages?.length ?? 0)
+  );
+}
+
+function getDistinctiveTerms(miniSearch, conversation, limit) {
+  // Tokenized the way the index does it, weighted by how rare each term is across the index.
+  const internals = getIndexInternals(miniSearch);
+  const { tokenize, processTerm } = internals;
+  const frequencies = new Map();
+  for (const field of getSearchFields()) {
+    for (const token of tokenize(String(extractField(conversation, field) ?? ''), field)) {
+      const processed = processTerm(token, field);
+      for (const term of [].concat(processed ?? [])) {
+        if (term && term.length > 2 && !/^\d+$/.test(term)) frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+      }
+    }
+  }
+  return Array.from(frequencies, ([term, frequency]) => [
+    term,
+    frequency * Math.log(internals.documentCount / getDocumentFrequency(term)),
+  ])
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+
+  function getDocumentFrequency(term) {
+    // Conversations containing the term (at least 1: it may only be in this one's unindexed text).
+    return Math.max(1, new Set(internals.getPostings(term).map(([id]) => id)).size);
+  }
+}
@@ -0,0 +1,149 @@
+// Archive statistics for the dashboard: activity over time, models, conversation lengths, user vs
+// assistant volume, custom GPTs, and the terms that stood out in a period (off the MiniSearch index).
+import { getMessageCount, getModels } from './facets.js';
+import { getIndexInternals } from './indexes.js';
+
+// Conversation length histogram, in messages (`[min, max]`, inclusive).
+export const LENGTH_BUCKETS = [
+  [1, 2],
+  [3, 5],
+  [6, 10],
+  [11, 20],
+  [21, 50],
+  [51, Infinity],
+];
+
+// Rough English average, good enough for "how much did we write".
+const CHARACTERS_PER_TOKEN = 4;
+
+/**
+ * Everything but the top terms, in one pass over `conversations`. Activity is bucketed by local
+ * month (`YYYY-MM`) and week of the year (`YYYY:w`, weeks counted from Jan 1st): conversations by
+ * creation, messages by their own timestamp.
+ */
+export function getStats(conversations) {
+  const activity = { month: new Map(), week: new Map() };
+  const years = new Set();
+  const lengths = [];
+  const volume = { user: { messages: 0, characters: 0 }, assistant: { messages: 0, characters: 0 } };
+  const models = new Map();
+  const gizmos = new Map();
+
+  for (const c of conversations) {
+    if (c.time) count(c.time, 'conversations');
+    const length = getMessageCount(c);
+    if (length) lengths.push(length);
+    for (const model of getModels(c)) models.set(model, (models.get(model) ?? 0) + 1);
+    if (c.gizmo) gizmos.set(c.gizmo, (gizmos.get(c.gizmo) ?? 0) + 1);
+    for (const m of c.messages ?? []) {
+      if (!volume[m.author] || m.active === false || m.hidden || !m.text) continue;
+      volume[m.author].messages++;
+      volume[m.author].characters += m.text.length;
+      const time = m.time ?? c.time;
+      if (time) count(time, 'messages');
+    }
+  }
+  for (const side of Object.values(volume)) side.tokens = Math.round(side.characters / CHARACTERS_PER_TOKEN);
+
+  lengths.sort((a, b) => a - b);
+  return {
+    conversations: conversations.length,
+    activity,
+    years: Array.from(years).sort(),
+    lengths: {
+      average: lengths.length ? lengths.reduce((sum, n) => sum + n, 0) / lengths.length : 0,
+      median: lengths.length ? lengths[Math.floor(lengths.length / 2)] : 0,
+      buckets: LENGTH_BUCKETS.map(([min, max]) => [min, max, lengths.filter(n => n >= min && n <= max).length]),
+    },
+    volume,
+    models: sortCounts(models),
+    gizmos: sortCounts(gizmos),
+  };
+
+  function count(seconds, kind) {
+    const date = new Date(seconds * 1000);
+    years.add(date.getFullYear());
+    for (const key of [getMonthKey(date), getWeekKey(date)]) {
+      const buckets = key.includes(':') ? activity.week : activity.month;
+      const bucket = buckets.get(key) ?? { conversations: 0, messages: 0 };
+      bucket[kind]++;
+      buckets.set(key, bucket);
+    }
+  }
+}
+
+/**
+ * Terms that stand out in conversations created between `from` and `to` (seconds, `to` exclusive):
+ * how often they occur there, weighted by how rare they are overall (tf-idf), so "the" doesn't win.
+ * Returns `[[term, occurrences]]`, best first.
+ */
+export function getTopTerms(miniSearch, conversations, { from, to }, limit = 20) {
+  const inPeriod = new Set(conversations.filter(c => c.time >= from && c.time < to).map(c => c.id));
+  if (!inPeriod.size) return [];
+  const internals = getIndexInternals(miniSearch);
+  // Alternate branches are left out, like the default search.
+  const fields = internals.fields.filter(field => !field.startsWith('alt:'));
+
+  const scored = [];
+  for (const term of internals.terms()) {
+    if (term.length < 3 || /^\d+$/.test(term)) continue;
+    let occurrences = 0;
+    const documents = new Set();
+    for (const [id, frequency] of internals.getPostings(term, fields)) {
+      documents.add(id);
+      if (inPeriod.has(id)) occurrences += frequency;
+    }
+    if (!documents.size) continue;
+    // Terms in every conversation score 0; they say nothing about the period.
+    const score = occurrences * Math.log(internals.documentCount / documents.size);
+    if (score > 0) scored.push([term, occurrences, score]);
+  }
+  return scored
+    .sort((a, b) => b[2] - a[2])
+    .slice(0, limit)
+    .map(([term, occurrences]) => [term, occurrences]);
+}
+
+/** `[from, to)` in seconds for a `YYYY`, `YYYY-MM` or `YYYY:w` period key. */
+export function getPeriodRange(key) {
+  const [start, end] = getPeriodDates(key);
+  return { from: start.getTime() / 1000, to: end.getTime() / 1000 };
+}
+
+/** First and last day (`YYYY-MM-DD`, inclusive) of a period, for the sidebar's date filter. */
+export function getPeriodDays(key) {
+  const [start, end] = getPeriodDates(key);
+  return { from: formatDay(start), to: formatDay(new Date(end.getTime() - 1)) };
+}
+
+export function getMonthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+export function getWeekKey(date) {
+  // Via UTC, so DST changes don't shift days.
+  const dayOfYear =
+    (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(date.getFullYear(), 0, 1)) /
+    (24 * 60 * 60 * 1000);
+  return `${date.getFullYear()}:${Math.floor(dayOfYear / 7)}`;
+}
+
+function getPeriodDates(key) {
+  const [, year, month, week] = /^(\d{4})(?:-(\d{2})|:(\d+))?$/.exec(key).map(Number);
+  if (month) return [new Date(year, month - 1, 1), new Date(year, month, 1)];
+  if (week >= 0) {
+    // The last "week" of a year is just its leftover day or two.
+    const start = new Date(year, 0, 1 + week * 7);
+    const end = new Date(year, 0, 1 + (week + 1) * 7);
+    return [start, end.getFullYear() > year ? new Date(year + 1, 0, 1) : end];
+  }
+  return [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+}
+
+function formatDay(date) {
+  return `${getMonthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function sortCounts(counts) {
+  return Array.from(counts).sort((a, b) => b[1] - a[1]);
+}
@@ -0,0 +1,31 @@
+// Import/indexing worker: keeps ZIP reading, JSON parsing and MiniSearch indexing off the main
+// thread. One job per worker; the app terminates the worker to cancel.
+//
+//   → { type: 'import', file, index? }
+//     ← { type: 'result', result: { conversations, importer, assets, report, indexes? } }
+//   → { type: 'index', conversations, kinds } ← { type: 'result', result: { indexes } }
+//   ← { type: 'progress', phase, name?, kind?, done?, total? } / { type: 'error', message }
+import { processFile } from './importer.js';
+import { buildIndexes } from './indexes.js';
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'import') {
+      const { conversations, importer, assets, report } = await processFile(data.file, onProgress);
+      // Merging re-imports patch the app's live indexes instead (`index: false`).
+      const indexes = data.index === false ? null : buildIndexes(conversations, { onProgress });
+      self.postMessage({ type: 'result', result: { conversations, importer, assets, report, indexes } });
+    } else if (data.type === 'index') {
+      const indexes = buildIndexes(data.conversations, { kinds: data.kinds, onProgress });
+      self.postMessage({ type: 'result', result: { indexes } });
+    } else {
+      throw new Error(`Unknown job type: ${data.type}`);
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message ?? String(err) });
+  }
+};
+
+function onProgress(progress) {
+  self.postMessage({ type: 'progress', ...progress });
+}
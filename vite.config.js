@@ -0,0 +1,18 @@
+import { defineConfig } from 'vite';
+
+export default defineConfig({
+  plugins: [precacheList()],
+});
+
+/** Emits `precache.json`, every built file, for the service worker (public/sw.js) to cache on install. */
+function precacheList() {
+  return {
+    name: 'chatgpt-search:precache-list',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      // Includes what index.html doesn't reference, such as the worker chunk and lazily imported ones.
+      const files = Object.keys(bundle).filter(file => file !== 'index.html');
+      this.emitFile({ type: 'asset', fileName: 'precache.json', source: JSON.stringify(files) });
+    },
+  };
+}